@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * mup1ctl - headless command-line tool for VelocityDRIVE (LAN966x) devices
+ * Reuses MUP1Protocol, CoAPClient and LAN966xController from the web frontend.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import NodeSerialTransport from '../js/node-serial-transport.js';
+import WebSocketTransport from '../js/websocket-transport.js';
+import LoopbackTransport from '../js/loopback-transport.js';
+import VelocityDriveSimulator from '../js/device-simulator.js';
+import LAN966xController, { DATASTORES } from '../js/lan966x-controller.js';
+import SIDRegistry from '../js/coreconf.js';
+import { formatDiff } from '../js/config-transaction.js';
+import { createBackup, encodeBackup, decodeBackup, checkCompatibility, stageRestore } from '../js/config-backup.js';
+import { diffTrees } from '../js/yang-diff.js';
+
+const USAGE = `Usage: mup1ctl [options] <command> [args]
+
+Options:
+  -d, --device <path>   Serial device or pty (default: $MUP1_DEVICE)
+  -b, --baud <rate>     Baud rate (default: 115200)
+      --ws <url>        Use a WebSocket bridge instead of a local device
+      --demo            Use the built-in device simulator
+  -t, --timeout <ms>    Per-command timeout (default: 15000)
+      --token-length <n>  CoAP token length 0..8 (default: 0)
+      --sid <file>      Load a SID file (RFC 9595) for CORECONF addressing; repeatable
+      --datastore <ds>  NMDA datastore: running, intended, operational or startup
+      --compact         Print JSON on a single line
+  -h, --help            Show this help
+
+Commands:
+  ping                          Check that the device answers
+  info                          Show device type, firmware and serial number
+  get <path>                    CoAP GET
+  put <path> <json>             CoAP PUT
+  post <path> <json>            CoAP POST
+  delete <path>                 CoAP DELETE
+  fetch <path> [json]           CoAP FETCH with optional filter
+  ports                         List the ports found in ietf-interfaces
+  vlan list                     List VLANs
+  vlan create <vid> <name> <ports>  Create VLAN, ports as 0,1,... or interface names
+  vlan delete <vid>             Delete VLAN
+  tas apply <file>              Apply TAS schedule(s) from a JSON file; all or none
+  tas diff <file>               Show what tas apply would change
+  backup <file>                 Save the configuration to a file (.cbor for CBOR, else JSON)
+  restore <file>                Restore a backup file; prints the changed subtrees
+  diff <file> [file]            Compare the device (or a second file) with a backup file
+  save-config                   Save running configuration to startup
+  reboot                        Reboot the device
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse command line into options and positional arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        device: process.env.MUP1_DEVICE || null,
+        baudRate: 115200,
+        ws: null,
+        demo: false,
+        timeout: 15000,
+        tokenLength: 0,
+        sidFiles: [],
+        datastore: null,
+        compact: false,
+        help: false
+    };
+    const args = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        const integer = (min, max) => {
+            const text = value();
+            const n = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+            if (!(n >= min && n <= max)) throw new UsageError(`${arg} must be an integer ${min}..${max}, got ${text}`);
+            return n;
+        };
+
+        switch (arg) {
+            case '-d': case '--device': options.device = value(); break;
+            case '-b': case '--baud': options.baudRate = integer(50, 12000000); break;
+            case '--ws': options.ws = value(); break;
+            case '--demo': options.demo = true; break;
+            case '-t': case '--timeout': options.timeout = integer(1, 3600000); break;
+            case '--token-length': options.tokenLength = integer(0, 8); break;
+            case '--sid': options.sidFiles.push(value()); break;
+            case '--datastore': options.datastore = value(); break;
+            case '--compact': options.compact = true; break;
+            case '-h': case '--help': options.help = true; break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new UsageError(`Unknown option ${arg}`);
+                args.push(arg);
+        }
+    }
+
+    if (options.datastore !== null && !DATASTORES.includes(options.datastore)) {
+        throw new UsageError(`--datastore must be one of ${DATASTORES.join(', ')}`);
+    }
+
+    return { options, args };
+}
+
+/**
+ * Open the selected transport and attach a controller
+ */
+async function openController(options) {
+    let transport;
+    let simulator = null;
+    const sids = new SIDRegistry();
+    for (const file of options.sidFiles) {
+        try {
+            sids.load(await readFile(file, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`${file}: ${error.message}`);
+        }
+    }
+
+    if (options.demo) {
+        const [host, device] = LoopbackTransport.createPair();
+        simulator = new VelocityDriveSimulator(device);
+        await simulator.start();
+        transport = host;
+        if (options.sidFiles.length === 0) {
+            simulator.getSidFiles().forEach(file => sids.load(file));
+        }
+    } else if (options.ws) {
+        if (!await WebSocketTransport.isSupported()) {
+            throw new UsageError('--ws needs WebSocket support: use Node 22 or later, or install the ws package');
+        }
+        transport = new WebSocketTransport(options.ws);
+    } else if (options.device) {
+        transport = new NodeSerialTransport(options.device, { baudRate: options.baudRate });
+    } else {
+        throw new UsageError('No device given (use --device, --ws, --demo or set MUP1_DEVICE)');
+    }
+
+    await transport.connect();
+    const controller = new LAN966xController(transport, {
+        coap: { tokenLength: options.tokenLength },
+        sids,
+        datastore: options.datastore
+    });
+    transport.onData(frame => controller.handleFrame(frame));
+
+    return {
+        controller,
+        async close() {
+            await transport.disconnect();
+            if (simulator) await simulator.stop();
+        }
+    };
+}
+
+function parseJson(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`Invalid JSON for ${what}: ${error.message}`);
+    }
+}
+
+function need(args, count, usage) {
+    if (args.length < count) throw new UsageError(`Usage: mup1ctl ${usage}`);
+}
+
+/**
+ * Run one command against the controller
+ * @returns {*} - Result to print
+ */
+async function runCommand(controller, [command, ...args]) {
+    const coap = controller.coap;
+    const uri = (path) => controller.datastoreUri(path, controller.datastore);
+
+    switch (command) {
+        case 'ping': {
+            const ok = await controller.ping();
+            if (!ok) throw new Error('No response to ping');
+            return 'pong';
+        }
+        case 'info':
+            return controller.getDeviceInfo();
+        case 'get':
+            need(args, 1, 'get <path>');
+            return coap.get(uri(args[0]));
+        case 'put':
+            need(args, 2, 'put <path> <json>');
+            return coap.put(uri(args[0]), parseJson(args[1], 'payload'));
+        case 'post':
+            need(args, 2, 'post <path> <json>');
+            return coap.post(uri(args[0]), parseJson(args[1], 'payload'));
+        case 'delete':
+            need(args, 1, 'delete <path>');
+            return coap.delete(uri(args[0]));
+        case 'fetch':
+            need(args, 1, 'fetch <path> [json]');
+            return coap.fetch(uri(args[0]), args[1] ? parseJson(args[1], 'filter') : null);
+        case 'ports':
+            return controller.discoverInterfaces();
+        case 'vlan':
+            return runVlanCommand(controller, args);
+        case 'tas':
+            return runTasCommand(controller, args);
+        case 'backup': {
+            need(args, 1, 'backup <file>');
+            const backup = await createBackup(controller);
+            await writeFile(args[0], encodeBackup(backup, args[0].endsWith('.cbor') ? 'cbor' : 'json'));
+            return `${Object.keys(backup.config).length} subtree(s) saved to ${args[0]}`;
+        }
+        case 'restore':
+            need(args, 1, 'restore <file>');
+            return runRestore(controller, args[0]);
+        case 'diff':
+            need(args, 1, 'diff <file> [file]');
+            return runDiff(controller, args);
+        case 'save-config': {
+            const ok = await controller.saveConfiguration();
+            if (!ok) throw new Error('Device reported failure saving configuration');
+            return 'saved';
+        }
+        case 'reboot':
+            await controller.reboot();
+            return 'reboot requested';
+        default:
+            throw new UsageError(command ? `Unknown command ${command}` : 'No command given');
+    }
+}
+
+async function runVlanCommand(controller, [sub, ...args]) {
+    switch (sub) {
+        case 'list':
+            return controller.getVlans();
+        case 'create': {
+            need(args, 3, 'vlan create <vid> <name> <ports>');
+            const vid = parseInt(args[0], 10);
+            if (!(vid >= 1 && vid <= 4094)) throw new UsageError(`Invalid VLAN ID ${args[0]}`);
+            const ports = args[2].split(',').filter(Boolean).map(p => /^\d+$/.test(p) ? parseInt(p, 10) : p);
+            if (!ports.length) throw new UsageError(`Invalid port list ${args[2]}`);
+            await controller.createVlan(vid, args[1], ports);
+            return `vlan ${vid} created`;
+        }
+        case 'delete':
+            need(args, 1, 'vlan delete <vid>');
+            await controller.deleteVlan(parseInt(args[0], 10));
+            return `vlan ${args[0]} deleted`;
+        default:
+            throw new UsageError('Usage: mup1ctl vlan list|create|delete');
+    }
+}
+
+/**
+ * Apply TAS schedules from a file:
+ * { "port": 0, "cycleTime": 1000000, "entries": [{ "gateStates": 255, "timeInterval": 500000 }] }
+ * or an array of such objects; "port" is a port index or an interface name
+ * The schedules are applied as one transaction: if a port fails, the ports
+ * already changed get their previous schedule back.
+ */
+async function runTasCommand(controller, [sub, file]) {
+    if (!['apply', 'diff'].includes(sub) || !file) throw new UsageError('Usage: mup1ctl tas apply|diff <file>');
+
+    const config = parseJson(await readFile(file, 'utf8'), file);
+    const schedules = Array.isArray(config) ? config : [config];
+    for (const schedule of schedules) {
+        if (schedule.port === undefined || !Array.isArray(schedule.entries)) {
+            throw new UsageError(`${file}: each schedule needs "port" and "entries"`);
+        }
+    }
+
+    const transaction = controller.transaction();
+    await transaction.stage(async (staged) => {
+        for (const schedule of schedules) await staged.configureTAS(schedule.port, schedule);
+    });
+    if (sub === 'diff') {
+        return formatDiff(await transaction.diff()) || 'no changes';
+    }
+    await transaction.apply();
+    return `${schedules.length} schedule(s) applied`;
+}
+
+/**
+ * Restore a backup file; refuses backups of another device type
+ */
+async function runRestore(controller, file) {
+    let backup;
+    try {
+        backup = decodeBackup(await readFile(file), controller.sids);
+    } catch (error) {
+        throw new UsageError(`${file}: ${error.message}`);
+    }
+    const check = checkCompatibility(backup, controller.deviceInfo || await controller.getDeviceInfo());
+    check.warnings.forEach(warning => console.error(`mup1ctl: warning: ${warning}`));
+    if (!check.compatible) throw new Error(check.errors.join('; '));
+
+    const steps = await stageRestore(controller, backup).apply();
+    return steps.length ? steps.map(({ op, path }) => `${op} ${path}`).join('\n') : 'no changes';
+}
+
+/**
+ * Diff lines "+ path value", "- path value", "~ path old -> new"; the left side
+ * is the device when only one file is given
+ */
+async function runDiff(controller, files) {
+    const configs = [];
+    for (const file of files.slice(0, 2)) {
+        try {
+            configs.push(decodeBackup(await readFile(file), controller.sids).config);
+        } catch (error) {
+            throw new UsageError(`${file}: ${error.message}`);
+        }
+    }
+    if (configs.length === 1) {
+        configs.unshift(await controller.getFullConfiguration({ datastore: 'running' }));
+    }
+
+    const changes = diffTrees(configs[0], configs[1]);
+    const json = (value) => JSON.stringify(value);
+    return changes.length ? changes.map(({ type, path, left, right }) =>
+        type === 'added' ? `+ ${path} ${json(right)}`
+            : type === 'removed' ? `- ${path} ${json(left)}`
+            : `~ ${path} ${json(left)} -> ${json(right)}`).join('\n') : 'no differences';
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function print(result, compact) {
+    if (result === undefined || result === null) return;
+    if (typeof result === 'string') {
+        console.log(result);
+        return;
+    }
+    const replacer = (key, value) => {
+        if (typeof value === 'bigint') return value.toString();
+        if (value instanceof Uint8Array) return Buffer.from(value).toString('hex');
+        if (value instanceof Map) return Object.fromEntries(value);
+        return value;
+    };
+    console.log(JSON.stringify(result, replacer, compact ? 0 : 2));
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const { options, args } = parsed;
+    if (options.help || args.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    let session = null;
+    try {
+        session = await openController(options);
+        const result = await withTimeout(runCommand(session.controller, args), options.timeout);
+        print(result, options.compact);
+        return 0;
+    } catch (error) {
+        console.error(`mup1ctl: ${error.message}`);
+        return error instanceof UsageError ? 2 : 1;
+    } finally {
+        if (session) await session.close().catch(() => {});
+    }
+}
+
+// Exit explicitly so pending request timers do not keep the process alive
+main().then(code => process.exit(code));
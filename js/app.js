@@ -2,32 +2,104 @@
  * Main Application Controller
  */
 
-import WebSerialConnection from './webserial.js';
+import WebSerialConnection, { COMMON_BAUD_RATES } from './webserial.js';
+import WebSocketTransport from './websocket-transport.js';
+import LoopbackTransport from './loopback-transport.js';
+import VelocityDriveSimulator from './device-simulator.js';
 import LAN966xController from './lan966x-controller.js';
-import { initPages } from './pages.js';
+import { formatCode } from './coap-client.js';
+import SIDRegistry from './coreconf.js';
+import { createBackup, encodeBackup, decodeBackup, checkCompatibility, stageRestore, backupFileName } from './config-backup.js';
+import { diffTrees } from './yang-diff.js';
+import StatsHistory from './stats-history.js';
+import { initPages, renderLinkStats, renderTrace, renderSidModules, renderCoapResponse, renderDiffSources, renderConfigDiff, renderStatsCharts } from './pages.js';
+import { parseDiagnostic, parseDiagnosticSequence } from './cbor.js';
+import { decodeTraceFrame, TraceLog } from './trace-decoder.js';
 import { YANGBrowser } from './yang-browser.js';
 
 // Global application state
 const app = {
     connection: null,
     controller: null,
+    simulator: null,
     yangBrowser: null,
+    sids: new SIDRegistry(),
     currentPage: 'dashboard',
+    traceLog: new TraceLog(),
+    tracePaused: false,
+    statsHistory: new StatsHistory(),  // Counter samples behind the traffic charts
     charts: {},
-    updateInterval: null
+    updateInterval: null,
+    monitoring: false,
+    statusObservation: null,
+    observeFailures: 0,                // Status observations lost in a row; polling takes over at OBSERVE_MAX_FAILURES
+    restartPending: false,
+    restartTimer: null,
+    pendingRestore: null,
+    snapshots: [],                     // [{ id, name, backup }], kept in localStorage
+    diffFiles: { left: null, right: null },
+    configDiff: null,
+    disconnecting: false
 };
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', () => {
     if (!WebSerialConnection.isSupported()) {
-        showError('WebSerial API is not supported in this browser. Please use Chrome or Edge 89+.');
-        return;
+        showInfo('WebSerial API is not supported in this browser. Use Chrome or Edge 89+, or connect through a WebSocket bridge.');
+        document.getElementById('transport-type').value = 'websocket';
     }
     
+    loadStoredSidFiles();
+    loadStoredSnapshots();
     initializeUI();
     initPages(app);
 });
 
+const SID_FILES_KEY = 'mup1.sidFiles';
+
+/**
+ * Load the SID files saved by an earlier session
+ */
+function loadStoredSidFiles() {
+    try {
+        const files = JSON.parse(localStorage.getItem(SID_FILES_KEY) || '[]');
+        files.forEach(file => app.sids.load(file));
+    } catch (error) {
+        console.warn('Ignoring stored SID files:', error.message);
+        app.sids.clear();
+    }
+}
+
+function storeSidFiles() {
+    try {
+        localStorage.setItem(SID_FILES_KEY, JSON.stringify(app.sids.files));
+    } catch (error) {
+        showError('SID files loaded but not saved: ' + error.message);
+    }
+}
+
+const SNAPSHOTS_KEY = 'mup1.snapshots';
+
+/**
+ * Load the configuration snapshots saved by earlier sessions
+ */
+function loadStoredSnapshots() {
+    try {
+        app.snapshots = JSON.parse(localStorage.getItem(SNAPSHOTS_KEY) || '[]');
+    } catch (error) {
+        console.warn('Ignoring stored snapshots:', error.message);
+        app.snapshots = [];
+    }
+}
+
+function storeSnapshots() {
+    try {
+        localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(app.snapshots));
+    } catch (error) {
+        showError('Snapshot taken but not saved: ' + error.message);
+    }
+}
+
 /**
  * Initialize UI components
  */
@@ -36,6 +108,16 @@ function initializeUI() {
     const connectBtn = document.getElementById('connect-btn');
     connectBtn.addEventListener('click', toggleConnection);
     
+    // Transport selection
+    const transportSelect = document.getElementById('transport-type');
+    const bridgeUrl = document.getElementById('bridge-url');
+    bridgeUrl.value = localStorage.getItem('bridgeUrl') || '';
+    const updateTransportFields = () => {
+        bridgeUrl.classList.toggle('hidden', transportSelect.value !== 'websocket');
+    };
+    transportSelect.addEventListener('change', updateTransportFields);
+    updateTransportFields();
+    
     // Navigation tabs
     document.querySelectorAll('.nav-tab').forEach(tab => {
         tab.addEventListener('click', (e) => {
@@ -48,6 +130,7 @@ function initializeUI() {
     
     // Quick action buttons
     document.getElementById('save-config')?.addEventListener('click', saveConfiguration);
+    document.getElementById('backup-config')?.addEventListener('click', backupConfiguration);
     document.getElementById('restore-config')?.addEventListener('click', restoreConfiguration);
     document.getElementById('factory-reset')?.addEventListener('click', factoryReset);
     document.getElementById('reboot-device')?.addEventListener('click', rebootDevice);
@@ -59,18 +142,104 @@ function initializeUI() {
 async function toggleConnection() {
     if (app.connection?.isConnected) {
         await disconnect();
+    } else if (document.getElementById('transport-type').value === 'webserial' &&
+               WebSerialConnection.isSupported()) {
+        showSerialSettings();
     } else {
         await connect();
     }
 }
 
+/**
+ * Show the serial connection dialog, prefilled with the last used settings
+ */
+function showSerialSettings() {
+    const settings = WebSerialConnection.loadSettings();
+    const rates = [...COMMON_BAUD_RATES].sort((a, b) => a - b);
+    const option = (value, label, selected) =>
+        `<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+    
+    showModal(`
+        <h3>Serial Connection</h3>
+        <div class="form-group">
+            <label class="form-label">Baud Rate</label>
+            <select class="form-control" id="serial-baud">
+                ${option('auto', 'Auto-detect', settings.autoBaud)}
+                ${rates.map(rate => option(rate, rate, !settings.autoBaud && rate === settings.baudRate)).join('')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label class="form-label">Flow Control</label>
+            <select class="form-control" id="serial-flow">
+                ${option('none', 'None', settings.flowControl === 'none')}
+                ${option('hardware', 'Hardware (RTS/CTS)', settings.flowControl === 'hardware')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label class="form-label">Buffer Size (bytes)</label>
+            <select class="form-control" id="serial-buffer">
+                ${[255, 1024, 4096, 16384].map(size => option(size, size, size === settings.bufferSize)).join('')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label><input type="checkbox" id="serial-choose-port"> Choose a different port</label>
+        </div>
+        <button class="action-btn" onclick="confirmSerialSettings()">Connect</button>
+    `);
+}
+
+window.confirmSerialSettings = async function() {
+    const baud = document.getElementById('serial-baud').value;
+    const settings = {
+        autoBaud: baud === 'auto',
+        flowControl: document.getElementById('serial-flow').value,
+        bufferSize: parseInt(document.getElementById('serial-buffer').value, 10),
+        choosePort: document.getElementById('serial-choose-port').checked
+    };
+    if (baud !== 'auto') {
+        settings.baudRate = parseInt(baud, 10);
+    }
+    
+    closeModal();
+    await connect(settings);
+};
+
+/**
+ * Create the transport selected in the header
+ */
+async function createTransport(settings) {
+    const type = document.getElementById('transport-type')?.value || 'webserial';
+    
+    switch (type) {
+        case 'demo': {
+            // Demo mode: simulated device on the other end of an in-memory link
+            const [host, device] = LoopbackTransport.createPair();
+            app.simulator = new VelocityDriveSimulator(device);
+            await app.simulator.start();
+            return host;
+        }
+        case 'websocket': {
+            const url = document.getElementById('bridge-url').value.trim();
+            if (!url) throw new Error('Enter the WebSocket bridge URL');
+            localStorage.setItem('bridgeUrl', url);
+            return new WebSocketTransport(url);
+        }
+        default:
+            if (!WebSerialConnection.isSupported()) {
+                throw new Error('WebSerial API is not supported in this browser. Please use Chrome or Edge 89+.');
+            }
+            return new WebSerialConnection({ ...WebSerialConnection.loadSettings(), ...settings });
+    }
+}
+
 /**
  * Connect to device
+ * @param {Object} settings - Serial settings from the connection dialog
  */
-async function connect() {
+async function connect(settings = {}) {
     try {
         // Create connection
-        app.connection = new WebSerialConnection();
+        app.connection = await createTransport(settings);
         
         // Set up callbacks
         app.connection.onData((frame) => {
@@ -81,18 +250,43 @@ async function connect() {
         
         app.connection.onStatus((status, message) => {
             updateConnectionStatus(status, message);
+            handleTransportStatus(status);
         });
         
         // Connect to serial port
         const portInfo = await app.connection.connect();
         console.log('Connected to port:', portInfo);
         
-        // Create controller
-        app.controller = new LAN966xController(app.connection);
+        // Create controller; the simulator describes its datastore with its own SID files
+        let sids = app.sids;
+        if (app.simulator) {
+            sids = new SIDRegistry();
+            app.simulator.getSidFiles().forEach(file => sids.load(file));
+        }
+        app.controller = new LAN966xController(app.connection, { sids });
+        app.yangBrowser = new YANGBrowser(app.controller);
+        app.yangBrowser.datastore = document.getElementById('yang-datastore')?.value || null;
+        app.yangBrowser.renderTree('yang-tree');
+        app.controller.on('link-error', (info) => {
+            console.warn(`MUP1 ${info.type} error:`, info.message || info);
+            if (app.currentPage === 'diagnostics') renderLinkStats(app);
+        });
+        app.controller.on('queue', () => {
+            if (app.currentPage === 'diagnostics') renderLinkStats(app);
+        });
+        app.controller.on('trace', (data) => {
+            app.traceLog.add(decodeTraceFrame(data));
+            if (app.currentPage === 'trace' && !app.tracePaused) renderTrace(app);
+        });
+        app.controller.on('announcement', () => {
+            // Boot announcement after a reset on links that stay open
+            if (app.restartPending) resumeAfterRestart();
+        });
         
         // Initialize device
         const deviceInfo = await app.controller.initialize();
         updateDeviceInfo(deviceInfo);
+        app.statsHistory.clear();
         
         // Start monitoring
         startMonitoring();
@@ -100,6 +294,7 @@ async function connect() {
         // Update UI
         document.getElementById('connect-btn').innerHTML = '🔌 Disconnect';
         document.getElementById('connect-btn').classList.add('connected');
+        document.getElementById('transport-type').disabled = true;
         
     } catch (error) {
         console.error('Connection failed:', error);
@@ -111,23 +306,98 @@ async function connect() {
  * Disconnect from device
  */
 async function disconnect() {
+    if (app.disconnecting) return;
+    app.disconnecting = true;
     try {
         stopMonitoring();
+        cancelRestartWait();
+        app.statusObservation?.cancel();
+        app.statusObservation = null;
+        app.observeFailures = 0;
+        app.controller?.coap.cancelAll();
         
         if (app.connection) {
             await app.connection.disconnect();
         }
+        if (app.simulator) {
+            await app.simulator.stop();
+        }
         
         app.connection = null;
+        app.simulator = null;
         app.controller = null;
+        app.yangBrowser = null;
         
         // Update UI
         document.getElementById('connect-btn').innerHTML = '🔌 Connect';
         document.getElementById('connect-btn').classList.remove('connected');
+        document.getElementById('transport-type').disabled = false;
         updateDeviceInfo(null);
         
     } catch (error) {
         console.error('Disconnect error:', error);
+    } finally {
+        app.disconnecting = false;
+    }
+}
+
+/**
+ * React to transport state changes (device reset, port re-enumeration)
+ */
+function handleTransportStatus(status) {
+    switch (status) {
+        case 'reconnecting':
+            waitForRestart();
+            break;
+        case 'reconnected':
+            resumeAfterRestart();
+            break;
+        case 'disconnected':
+            // Link is gone for good (not via the Disconnect button)
+            if (app.controller && !app.disconnecting) disconnect();
+            break;
+    }
+}
+
+/**
+ * Pause monitoring until the device is back after a reset
+ */
+function waitForRestart(timeoutMs = 60000) {
+    stopMonitoring();
+    updateConnectionStatus('reconnecting');
+    app.restartPending = true;
+    
+    clearTimeout(app.restartTimer);
+    app.restartTimer = setTimeout(() => {
+        if (!app.restartPending) return;
+        app.restartPending = false;
+        showError('Device did not come back after restart');
+        disconnect();
+    }, timeoutMs);
+}
+
+function cancelRestartWait() {
+    app.restartPending = false;
+    clearTimeout(app.restartTimer);
+    app.restartTimer = null;
+}
+
+/**
+ * Re-initialize the controller and resume monitoring after a reconnect
+ */
+async function resumeAfterRestart() {
+    if (!app.restartPending || !app.controller) return;
+    cancelRestartWait();
+    
+    try {
+        const deviceInfo = await app.controller.initialize();
+        updateDeviceInfo(deviceInfo);
+        updateConnectionStatus('connected');
+        startMonitoring();
+        showSuccess('Device reconnected');
+    } catch (error) {
+        console.error('Re-initialization failed:', error);
+        showError('Reconnect failed: ' + error.message);
     }
 }
 
@@ -149,6 +419,19 @@ function updateConnectionStatus(status, message) {
             statusElement.textContent = '● Disconnected';
             statusText.textContent = 'Disconnected';
             break;
+        case 'detecting':
+            statusElement.textContent = '● Detecting…';
+            statusText.textContent = message || 'Detecting baud rate';
+            break;
+        case 'reconnecting':
+            statusElement.textContent = '● Reconnecting…';
+            statusText.textContent = 'Waiting for device to come back';
+            break;
+        case 'reconnected':
+            statusElement.className = 'device-status connected';
+            statusElement.textContent = '● Connected';
+            statusText.textContent = 'Reconnected, re-initializing';
+            break;
         case 'error':
             statusElement.textContent = '● Error';
             statusText.textContent = 'Error: ' + message;
@@ -169,7 +452,7 @@ function updateDeviceInfo(info) {
         modelElement.textContent = info.deviceType || 'Unknown';
         versionElement.textContent = 'FW: ' + (info.firmwareVersion || 'Unknown');
         typeElement.textContent = info.deviceType || '-';
-        portElement.textContent = '/dev/ttyACM0';
+        portElement.textContent = app.connection?.describe() || '-';
     } else {
         modelElement.textContent = 'No Device';
         versionElement.textContent = '';
@@ -178,18 +461,60 @@ function updateDeviceInfo(info) {
     }
 }
 
+// A lost observation is registered again once; if that one is lost too, poll
+const OBSERVE_MAX_FAILURES = 2;
+// An observation that lasted this long before ending counts as a first failure again
+const OBSERVE_STABLE_TIME = 60000;
+
 /**
  * Start monitoring
+ * Uses Observe notifications when the device supports them, polling otherwise.
+ * An existing observation survives a reconnect (the client re-registers it).
  */
-function startMonitoring() {
-    updatePortStatus();
-    updateStatistics();
+async function startMonitoring() {
+    if (!app.statusObservation && app.observeFailures < OBSERVE_MAX_FAILURES) {
+        try {
+            const started = Date.now();
+            const observation = await app.controller.observeStatus(({ ports, statistics }) => {
+                renderPortStatus(ports);
+                renderStatistics(statistics);
+            }, {
+                onError: (error) => {
+                    // Observation lost: register again, or fall back to polling when that keeps failing
+                    console.warn('Status observation ended:', error.message);
+                    app.statusObservation = null;
+                    app.observeFailures = Date.now() - started > OBSERVE_STABLE_TIME ? 1 : app.observeFailures + 1;
+                    if (app.observeFailures >= OBSERVE_MAX_FAILURES) {
+                        console.warn('Status observations keep ending, polling instead');
+                    }
+                    if (app.controller && !app.restartPending) startMonitoring();
+                }
+            });
+            if (observation.supported) app.statusObservation = observation;
+        } catch (error) {
+            console.warn('Observe not available, polling instead:', error.message);
+        }
+    }
+    if (app.statusObservation || app.updateInterval) return;
+    
+    pollDevice();
     
     // Update every 2 seconds
-    app.updateInterval = setInterval(() => {
-        updatePortStatus();
-        updateStatistics();
-    }, 2000);
+    app.updateInterval = setInterval(pollDevice, 2000);
+}
+
+/**
+ * One polling round; skipped while the previous round is still running
+ */
+async function pollDevice() {
+    if (app.monitoring) return;
+    app.monitoring = true;
+    try {
+        await updatePortStatus();
+        await updateStatistics();
+    } finally {
+        app.monitoring = false;
+    }
 }
 
 /**
@@ -200,6 +525,7 @@ function stopMonitoring() {
         clearInterval(app.updateInterval);
         app.updateInterval = null;
     }
+    app.controller?.coap.cancelAll('background');
 }
 
 /**
@@ -209,23 +535,27 @@ async function updatePortStatus() {
     if (!app.controller) return;
     
     try {
-        const ports = await app.controller.getPortStatus();
-        const grid = document.getElementById('port-status-grid');
-        
-        if (grid) {
-            grid.innerHTML = ports.map(port => `
-                <div class="port-status ${port.linkStatus}">
-                    <div class="port-name">Port ${port.index}</div>
-                    <div class="port-state">${port.linkStatus === 'up' ? '🔗' : '🔴'} ${port.linkStatus}</div>
-                    <div class="port-speed">${port.speed}</div>
-                </div>
-            `).join('');
-        }
+        renderPortStatus(await app.controller.getPortStatus({ priority: 'background' }));
     } catch (error) {
+        if (error.name === 'AbortError') return;
         console.error('Failed to update port status:', error);
     }
 }
 
+function renderPortStatus(ports) {
+    const grid = document.getElementById('port-status-grid');
+    
+    if (grid) {
+        grid.innerHTML = ports.map(port => `
+            <div class="port-status ${port.linkStatus}">
+                <div class="port-name">${port.name}</div>
+                <div class="port-state">${port.linkStatus === 'up' ? '🔗' : '🔴'} ${port.linkStatus}</div>
+                <div class="port-speed">${port.speed}</div>
+            </div>
+        `).join('');
+    }
+}
+
 /**
  * Update statistics
  */
@@ -233,66 +563,31 @@ async function updateStatistics() {
     if (!app.controller) return;
     
     try {
-        const stats = await app.controller.getStatistics();
-        
-        // Update uptime
-        const uptimeElement = document.getElementById('uptime');
-        if (uptimeElement && stats.system?.uptime) {
-            const hours = Math.floor(stats.system.uptime / 3600);
-            const minutes = Math.floor((stats.system.uptime % 3600) / 60);
-            uptimeElement.textContent = `${hours}h ${minutes}m`;
-        }
-        
-        // Update temperature
-        const tempElement = document.getElementById('temperature');
-        if (tempElement && stats.system?.temperature) {
-            tempElement.textContent = stats.system.temperature + '°C';
-        }
-        
-        // Update chart
-        updateChart(stats);
-        
+        renderStatistics(await app.controller.getStatistics({ priority: 'background' }));
     } catch (error) {
+        if (error.name === 'AbortError') return;
         console.error('Failed to update statistics:', error);
     }
 }
 
-/**
- * Update statistics chart
- */
-function updateChart(stats) {
-    const canvas = document.getElementById('stats-chart');
-    if (!canvas) return;
-    
-    const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
+function renderStatistics(stats) {
+    // Update uptime
+    const uptimeElement = document.getElementById('uptime');
+    if (uptimeElement && stats.system?.uptime) {
+        const hours = Math.floor(stats.system.uptime / 3600);
+        const minutes = Math.floor((stats.system.uptime % 3600) / 60);
+        uptimeElement.textContent = `${hours}h ${minutes}m`;
+    }
     
-    // Draw simple bar chart for port statistics
-    const barWidth = width / (stats.ports.length * 2);
-    const maxValue = Math.max(...stats.ports.map(p => p['in-octets'] || 0));
+    // Update temperature
+    const tempElement = document.getElementById('temperature');
+    if (tempElement && stats.system?.temperature) {
+        tempElement.textContent = stats.system.temperature + '°C';
+    }
     
-    stats.ports.forEach((port, i) => {
-        const x = i * barWidth * 2 + barWidth / 2;
-        const rxHeight = (port['in-octets'] || 0) / maxValue * (height - 20);
-        const txHeight = (port['out-octets'] || 0) / maxValue * (height - 20);
-        
-        // RX bar
-        ctx.fillStyle = '#4CAF50';
-        ctx.fillRect(x, height - rxHeight, barWidth * 0.8, rxHeight);
-        
-        // TX bar
-        ctx.fillStyle = '#2196F3';
-        ctx.fillRect(x + barWidth, height - txHeight, barWidth * 0.8, txHeight);
-        
-        // Label
-        ctx.fillStyle = '#666';
-        ctx.font = '10px sans-serif';
-        ctx.fillText(`P${i}`, x + barWidth / 2, height - 5);
-    });
+    // Update charts
+    app.statsHistory.add(stats);
+    renderStatsCharts(app);
 }
 
 /**
@@ -338,11 +633,126 @@ async function saveConfiguration() {
     }
 }
 
-async function restoreConfiguration() {
-    // TODO: Implement file upload and restore
-    showInfo('Restore configuration feature coming soon');
+/**
+ * Download the device configuration as a JSON or CBOR file
+ */
+function backupConfiguration() {
+    if (!app.controller) {
+        showError('Not connected to device');
+        return;
+    }
+    
+    showModal(`
+        <h3>Backup Configuration</h3>
+        <div class="form-group">
+            <label class="form-label">Format</label>
+            <select class="form-control" id="backup-format">
+                <option value="json">JSON (RFC 7951)</option>
+                <option value="cbor">CBOR</option>
+            </select>
+        </div>
+        <div id="backup-progress"></div>
+        <button class="action-btn" onclick="confirmBackup()">Download</button>
+    `);
+}
+
+window.confirmBackup = async function() {
+    const format = document.getElementById('backup-format').value;
+    const progress = document.getElementById('backup-progress');
+    try {
+        const backup = await createBackup(app.controller, {
+            onProgress: ({ root, index, count }) => {
+                if (progress) progress.textContent = `Reading ${root} (${index + 1}/${count})…`;
+            }
+        });
+        const data = encodeBackup(backup, format);
+        const blob = new Blob([data], { type: format === 'cbor' ? 'application/cbor' : 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = backupFileName(backup, format);
+        a.click();
+        closeModal();
+        showSuccess(`Configuration saved to ${a.download}`);
+    } catch (error) {
+        if (progress) progress.textContent = '';
+        showError('Backup failed: ' + error.message);
+    }
+};
+
+/**
+ * Restore a backup file: check it against the device, preview the changes, then apply
+ */
+function restoreConfiguration() {
+    if (!app.controller) {
+        showError('Not connected to device');
+        return;
+    }
+    
+    app.pendingRestore = null;
+    showModal(`
+        <h3>Restore Configuration</h3>
+        <div class="form-group">
+            <input type="file" class="form-control" accept=".json,.cbor" onchange="previewRestore(this)">
+        </div>
+        <div id="restore-preview"></div>
+    `);
 }
 
+window.previewRestore = async function(input) {
+    const preview = document.getElementById('restore-preview');
+    const file = input.files[0];
+    if (!file || !preview) return;
+    
+    try {
+        preview.textContent = 'Comparing with the device…';
+        const backup = decodeBackup(await file.arrayBuffer(), app.sids);
+        const check = checkCompatibility(backup, app.controller.deviceInfo);
+        const transaction = stageRestore(app.controller, backup);
+        const steps = await transaction.diff();
+        
+        const lines = [];
+        const { deviceType, firmwareVersion, serialNumber } = backup.device || {};
+        lines.push(`Backup of ${deviceType} ${serialNumber}, firmware ${firmwareVersion}, ${backup.created}`);
+        check.errors.forEach(message => lines.push(`✖ ${message}`));
+        check.warnings.forEach(message => lines.push(`⚠ ${message}`));
+        for (const step of steps) {
+            const leaves = step.op === 'update' ? diffTrees(step.before, step.after, { path: step.path }) : [];
+            lines.push('', `${step.op.toUpperCase()} ${step.path}${leaves.length ? ` (${leaves.length} changes)` : ''}`);
+            leaves.slice(0, 50).forEach(({ type, path, left, right }) =>
+                lines.push(`  ${type} ${path}: ${JSON.stringify(left) ?? '(none)'} -> ${JSON.stringify(right) ?? '(none)'}`));
+            if (leaves.length > 50) lines.push(`  … ${leaves.length - 50} more`);
+        }
+        
+        preview.innerHTML = `
+            <pre class="code-editor" id="restore-diff"></pre>
+            <div class="form-group">
+                <label><input type="checkbox" id="restore-persist"> Save to startup after restoring</label>
+            </div>
+            <button class="action-btn" onclick="applyRestore()" ${check.compatible ? '' : 'disabled'}>Apply</button>
+        `;
+        document.getElementById('restore-diff').textContent = lines.join('\n');
+        app.pendingRestore = check.compatible ? transaction : null;
+    } catch (error) {
+        preview.textContent = '';
+        showError('Cannot restore: ' + error.message);
+    }
+};
+
+window.applyRestore = async function() {
+    const transaction = app.pendingRestore;
+    if (!transaction) return;
+    app.pendingRestore = null;
+    
+    try {
+        const persist = document.getElementById('restore-persist')?.checked;
+        const steps = await transaction.apply({ persist });
+        closeModal();
+        showSuccess(`Configuration restored (${steps.length} subtree(s) changed${persist ? ', saved to startup' : ''})`);
+    } catch (error) {
+        showError(error.message);
+    }
+};
+
 async function factoryReset() {
     if (!app.controller) {
         showError('Not connected to device');
@@ -357,7 +767,7 @@ async function factoryReset() {
         const success = await app.controller.factoryReset();
         if (success) {
             showSuccess('Factory reset initiated');
-            setTimeout(() => disconnect(), 2000);
+            waitForRestart();
         } else {
             showError('Factory reset failed');
         }
@@ -379,7 +789,7 @@ async function rebootDevice() {
     try {
         await app.controller.reboot();
         showSuccess('Reboot command sent');
-        setTimeout(() => disconnect(), 1000);
+        waitForRestart();
     } catch (error) {
         showError('Reboot failed: ' + error.message);
     }
@@ -448,28 +858,140 @@ window.yangSet = async () => {
   try { if (!app.yangBrowser) throw new Error('Not connected'); await app.yangBrowser.setValue(); }
   catch(e){ showError(e.message); }
 };
+window.yangCompare = async () => {
+  try { if (!app.yangBrowser) throw new Error('Not connected'); await app.yangBrowser.compareValues(); }
+  catch(e){ showError(e.message); }
+};
+window.setYangDatastore = (value) => {
+  if (app.yangBrowser) app.yangBrowser.datastore = value || null;
+};
+window.loadSidFiles = async (input) => {
+  const loaded = [];
+  for (const file of input.files) {
+    try { loaded.push(app.sids.load(await file.text())); }
+    catch(e){ showError(`${file.name}: ${e.message}`); }
+  }
+  input.value = '';
+  if (loaded.length) { storeSidFiles(); showSuccess(`Loaded SIDs for ${loaded.join(', ')}`); }
+  renderSidModules(app);
+};
+window.clearSidFiles = () => {
+  app.sids.clear(); storeSidFiles(); renderSidModules(app);
+};
+// Console iPATCH/PATCH payload: [[iid, value], ...] or { "instance path": value } encoded with the SID files
+function toInstances(payload) {
+  if (Array.isArray(payload)) return payload.map(([iid, value]) => new Map([[iid, value]]));
+  if (payload && typeof payload === 'object') return Object.entries(payload).map(([path, value]) => app.controller.sids.encodeInstance(path, value));
+  throw new Error('iPATCH/PATCH payload must be [[SID, value], ...] or {"path": value}');
+}
+// Console payload in the selected input format; sequences (-seq formats, iPATCH/PATCH) give an array of items
+function parsePayload(text, mode, sequence) {
+  switch (mode) {
+    case 'hex': {
+      const hex = text.replace(/0x/gi, '').replace(/[\s:,]/g, '');
+      if (!/^([0-9a-f]{2})*$/i.test(hex)) throw new Error('Hex payload must be pairs of hex digits');
+      return Uint8Array.from(hex.match(/../g) || [], b => parseInt(b, 16));
+    }
+    case 'diag':
+      return sequence ? parseDiagnosticSequence(text) : parseDiagnostic(text);
+    default:
+      try { return JSON.parse(text); }
+      catch (e) { throw new Error(`Invalid JSON payload: ${e.message}`); }
+  }
+}
 window.sendCoap = async () => {
   try {
     if (!app.controller) throw new Error('Not connected');
     const method = document.getElementById('coap-method')?.value;
     const uri = (document.getElementById('coap-uri')?.value||'').trim();
     const payloadText = (document.getElementById('coap-payload')?.value||'').trim();
-    let payload = null; if (payloadText) { try { payload = JSON.parse(payloadText);} catch{ payload = payloadText; } }
+    const payloadMode = document.getElementById('coap-payload-format')?.value || 'json';
+    const format = (id) => { const v = document.getElementById(id)?.value; return v ? Number(v) : undefined; };
+    const options = { contentFormat: format('coap-content-format'), accept: format('coap-accept') ?? null, fullResponse: true };
+    const target = app.controller.datastoreUri(uri, document.getElementById('coap-datastore')?.value || null);
+    const patch = method === 'IPATCH' || method === 'PATCH';
+    const sequence = patch || [63, 141, 142].includes(options.contentFormat);
+    let payload = payloadText ? parsePayload(payloadText, payloadMode, sequence) : null;
+    if (patch && payloadMode === 'json') payload = toInstances(payload);
     let resp; switch(method){
-      case 'GET': resp = await app.controller.coap.get(uri); break;
-      case 'POST': resp = await app.controller.coap.post(uri,payload); break;
-      case 'PUT': resp = await app.controller.coap.put(uri,payload); break;
-      case 'DELETE': resp = await app.controller.coap.delete(uri); break;
-      case 'FETCH': resp = await app.controller.coap.fetch(uri,payload); break;
-    }
-    const out = document.getElementById('coap-response'); if (out) out.innerHTML = `<pre>${typeof resp==='object'?JSON.stringify(resp,null,2):String(resp)}</pre>`;
-  } catch(e){ showError('CoAP error: '+e.message); }
+      case 'GET': resp = await app.controller.coap.get(target,options); break;
+      case 'POST': resp = await app.controller.coap.post(target,payload,options); break;
+      case 'PUT': resp = await app.controller.coap.put(target,payload,options); break;
+      case 'DELETE': resp = await app.controller.coap.delete(target,options); break;
+      case 'FETCH': resp = await app.controller.coap.fetch(target,payload,options); break;
+      case 'IPATCH': resp = await app.controller.coap.ipatch(target,payload,options); break;
+      case 'PATCH': resp = await app.controller.coap.patch(target,payload,options); break;
+    }
+    app.coapResponse = resp; renderCoapResponse(app);
+  } catch(e){
+    // Error responses are shown like any other, with the decoded errors
+    if (e.response) { app.coapResponse = e.response; renderCoapResponse(app); }
+    showError('CoAP error: '+e.message);
+  }
+};
+window.renderCoapResponse = () => renderCoapResponse(app);
+
+// === Traffic charts ===
+window.renderStatsCharts = () => renderStatsCharts(app);
+
+// === Configuration diff ===
+window.renderDiffSources = () => renderDiffSources(app);
+window.renderConfigDiff = () => renderConfigDiff(app);
+window.takeSnapshot = async () => {
+  try {
+    if (!app.controller) throw new Error('Not connected');
+    const input = document.getElementById('snapshot-name');
+    const backup = await createBackup(app.controller);
+    const name = input?.value.trim() || new Date(backup.created).toLocaleString();
+    app.snapshots.push({ id: Date.now().toString(36), name, backup });
+    storeSnapshots();
+    if (input) input.value = '';
+    renderDiffSources(app);
+    showSuccess(`Snapshot "${name}" taken`);
+  } catch(e){ showError('Snapshot failed: ' + e.message); }
+};
+window.deleteSnapshot = (id) => {
+  app.snapshots = app.snapshots.filter(s => s.id !== id);
+  storeSnapshots();
+  renderDiffSources(app);
+};
+window.loadDiffFile = async (side, input) => {
+  const file = input.files[0];
+  if (!file) return;
+  try {
+    app.diffFiles[side] = { fileName: file.name, backup: decodeBackup(await file.arrayBuffer(), app.sids) };
+    renderDiffSources(app);
+  } catch(e){ showError(`${file.name}: ${e.message}`); }
+};
+// Configuration of one side of the diff, with a label for the column
+async function diffSource(side) {
+  const source = document.getElementById(`diff-${side}`)?.value || 'device';
+  if (source === 'device') {
+    if (!app.controller) throw new Error('Not connected');
+    return { label: 'Device', config: await app.controller.getFullConfiguration({ datastore: 'running' }) };
+  }
+  if (source === 'file') {
+    const file = app.diffFiles[side];
+    if (!file) throw new Error(`No backup file chosen for the ${side} side`);
+    return { label: file.fileName, config: file.backup.config };
+  }
+  const snapshot = app.snapshots.find(s => `snapshot:${s.id}` === source);
+  if (!snapshot) throw new Error('Snapshot no longer exists');
+  return { label: snapshot.name, config: snapshot.backup.config };
+}
+window.runConfigDiff = async () => {
+  try {
+    const left = await diffSource('left');
+    const right = await diffSource('right');
+    app.configDiff = { left: left.label, right: right.label, changes: diffTrees(left.config, right.config) };
+    renderConfigDiff(app);
+  } catch(e){ showError('Diff failed: ' + e.message); }
 };
 window.configurePort = async (index) => {
   try{ if(!app.controller) throw new Error('Not connected');
     const speed = document.getElementById(`port-${index}-speed`).value;
     const duplex = document.getElementById(`port-${index}-duplex`).value;
-    await app.controller.configurePort(index,{speed,duplex}); showSuccess(`Port ${index} updated`);
+    await app.controller.configurePort(index,{speed,duplex}); showSuccess(`${await app.controller.portName(index)} updated`);
   } catch(e){ showError(e.message); }
 };
 window.createVlan = async () => {
@@ -483,8 +1005,29 @@ window.createVlan = async () => {
 window.deleteVlan = async (id) => {
   try{ if(!app.controller) throw new Error('Not connected'); await app.controller.deleteVlan(id); showSuccess('VLAN deleted'); if(window.pageHandlers?.vlan) window.pageHandlers.vlan.load(app);} catch(e){ showError(e.message); }
 };
+// PTP profile defaults: domain and log2 message intervals of every port
+const PTP_PROFILES = {
+  default: { domain: 0, announceInterval: 1, syncInterval: 0, delayReqInterval: 0 },       // IEEE 1588 annex J
+  automotive: { domain: 0, announceInterval: 0, syncInterval: -3, delayReqInterval: 0 },   // IEEE 802.1AS
+  industrial: { domain: 0, announceInterval: 0, syncInterval: -3, delayReqInterval: -3 },  // IEC/IEEE 60802
+  telecom: { domain: 24, announceInterval: -3, syncInterval: -4, delayReqInterval: -4 }    // ITU-T G.8275.1
+};
+// Clock mode as best master clock priority; a slave-only clock uses clock class 255
+const PTP_MODES = {
+  auto: {},
+  master: { priority1: 64 },
+  boundary: { priority1: 128 },
+  slave: { priority1: 255, clockClass: 255 }
+};
 window.configurePTP = async () => {
-  try{ if(!app.controller) throw new Error('Not connected'); await app.controller.configurePTP({}); showSuccess('PTP configured'); } catch(e){ showError(e.message); }
+  try{ if(!app.controller) throw new Error('Not connected');
+    const profile=PTP_PROFILES[document.getElementById('ptp-profile').value];
+    const mode=PTP_MODES[document.getElementById('ptp-mode').value];
+    if(!profile||!mode) throw new Error('Unknown PTP profile or clock mode');
+    const { domain, ...intervals } = profile;
+    const ports=(await app.controller.getInterfaces()).map(() => intervals);
+    await app.controller.configurePTP({ ...mode, domain, ports }); showSuccess('PTP configured');
+  } catch(e){ showError(e.message); }
 };
 window.addTasEntry = () => {
   const c=document.getElementById('tas-entries'); if(!c) return; const i=c.children.length; const d=document.createElement('div'); d.className='tas-entry'; d.style.margin='6px 0'; d.innerHTML=`Gate(0x mask): <input id="tas-gate-${i}" value="0xFF" size="6"> Duration(ns): <input id="tas-dur-${i}" value="100000" size="10">`; c.appendChild(d);
@@ -500,6 +1043,19 @@ window.configureTAS = async () => {
 window.configurePreemption = async () => {
   try{ if(!app.controller) throw new Error('Not connected'); const port=parseInt(document.getElementById('preempt-port').value||'0',10); const enabled=document.getElementById('preempt-enable').checked; await app.controller.configureFramePreemption(port,{enabled}); showSuccess('Frame preemption updated'); } catch(e){ showError(e.message); }
 };
+window.renderTrace = () => renderTrace(app);
+window.toggleTracePause = () => {
+  app.tracePaused = !app.tracePaused;
+  const btn = document.getElementById('trace-pause'); if (btn) btn.textContent = app.tracePaused ? '▶ Resume' : '⏸ Pause';
+  renderTrace(app);
+};
+window.clearTrace = () => { app.traceLog.clear(); const sel=document.getElementById('trace-module'); if(sel) sel.length=1; renderTrace(app); };
+window.exportTrace = (format) => {
+  const entries = app.traceLog.filter({ module: document.getElementById('trace-module')?.value||'', maxLevel: document.getElementById('trace-level')?.value||'debug', search: (document.getElementById('trace-search')?.value||'').trim() });
+  const json = format === 'json';
+  const blob = new Blob([json ? app.traceLog.toJSON(entries) : app.traceLog.toText(entries)], { type: json ? 'application/json' : 'text/plain' });
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = json ? 'trace.json' : 'trace.txt'; a.click();
+};
 window.clearLogs = () => { const el=document.getElementById('log-container'); if(el) el.innerHTML=''; };
 window.exportLogs = () => { const el=document.getElementById('log-container'); const blob=new Blob([el?.innerText||''],{type:'text/plain'}); const a=document.createElement('a'); a.href=URL.createObjectURL(blob); a.download='logs.txt'; a.click(); };
 
@@ -520,8 +1076,7 @@ window.__logRaw = (layer, dir, bytes, meta={}) => {
     const head = `[${time}] ${dir} ${layer}${meta.method?(' '+meta.method):''}${meta.uri?(' '+meta.uri):''}${meta.code?(' code='+meta.code):''}`;
     const body = window.__hex(bytes);
     const line = document.createElement('div');
-    line.textContent = head + '
-' + body;
+    line.textContent = head + '\n' + body;
     box.appendChild(line);
     if (document.getElementById('auto-scroll')?.checked) box.scrollTop = box.scrollHeight;
   }catch{}
@@ -535,10 +1090,9 @@ window.__pushHistory = (entry) => {
     const rows = window.app.coapHistory.map((h,i)=>{
       const t = new Date(h.ts).toLocaleTimeString();
       const status = h.ok? 'OK':'ERR';
-      const code = h.code!=null? h.code: '-';
+      const code = h.code!=null? formatCode(h.code): '-';
       return `${i+1}. [${t}] ${h.method||'?'} ${h.uri||''} -> ${status} (${code})`;
-    }).join('
-');
+    }).join('\n');
     el.innerHTML = `<pre>${rows||'No history'}</pre>`;
   }catch{}
 };
@@ -0,0 +1,1058 @@
+/**
+ * CBOR (RFC 8949) Encoder/Decoder
+ * All major types, tags (bignums as BigInt, epoch dates as Date), half/single/double floats,
+ * indefinite-length items (decoded), CBOR sequences (RFC 8742), deterministic
+ * encoding, and diagnostic notation (RFC 8949 §8) in both directions.
+ */
+
+/**
+ * Tagged data item (major type 6) without a native JavaScript mapping
+ */
+export class Tagged {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+/**
+ * Float with an integral value, e.g. 1.0 from diagnostic notation
+ * A plain JavaScript number like that is encoded as an integer.
+ */
+export class Float {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Simple value (major type 7) other than false/true/null/undefined
+ */
+export class Simple {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+const TAG_POS_BIGNUM = 2;
+const TAG_NEG_BIGNUM = 3;
+const TAG_EPOCH_DATE = 1;
+const BREAK = Symbol('break');
+// Deepest nesting of arrays, maps and tags accepted when decoding; the decoder
+// is recursive, so hostile input must not be able to exhaust the stack
+const MAX_NESTING = 256;
+
+/**
+ * Growable byte buffer used by the encoder
+ */
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(64);
+        this.length = 0;
+        this.view = new DataView(this.bytes.buffer);
+    }
+
+    ensure(n) {
+        if (this.length + n <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.bytes.subarray(0, this.length));
+        this.bytes = next;
+        this.view = new DataView(next.buffer);
+    }
+
+    u8(v) {
+        this.ensure(1);
+        this.bytes[this.length++] = v;
+    }
+
+    u16(v) {
+        this.ensure(2);
+        this.view.setUint16(this.length, v);
+        this.length += 2;
+    }
+
+    u32(v) {
+        this.ensure(4);
+        this.view.setUint32(this.length, v);
+        this.length += 4;
+    }
+
+    u64(v) {
+        this.ensure(8);
+        this.view.setBigUint64(this.length, BigInt(v));
+        this.length += 8;
+    }
+
+    f16(bits) {
+        this.u16(bits);
+    }
+
+    f32(v) {
+        this.ensure(4);
+        this.view.setFloat32(this.length, v);
+        this.length += 4;
+    }
+
+    f64(v) {
+        this.ensure(8);
+        this.view.setFloat64(this.length, v);
+        this.length += 8;
+    }
+
+    raw(data) {
+        this.ensure(data.length);
+        this.bytes.set(data, this.length);
+        this.length += data.length;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Encode a JavaScript value as CBOR
+ * @param {*} value - Value to encode
+ * @param {Object} options - { canonical: deterministic encoding (RFC 8949 §4.2.1), map keys sorted,
+ *   indefinite: arrays and maps with indefinite length (ignored when canonical) }
+ * @returns {Uint8Array}
+ */
+export function encode(value, options = {}) {
+    const writer = new ByteWriter();
+    encodeItem(writer, value, options);
+    return writer.result();
+}
+
+/**
+ * Encode several values as a CBOR sequence (RFC 8742)
+ */
+export function encodeSequence(values, options = {}) {
+    const writer = new ByteWriter();
+    for (const value of values) {
+        encodeItem(writer, value, options);
+    }
+    return writer.result();
+}
+
+function writeHead(writer, major, length) {
+    const mt = major << 5;
+    if (typeof length === 'bigint') {
+        if (length <= 0xFFFFFFFFn) {
+            length = Number(length);
+        } else {
+            writer.u8(mt | 27);
+            writer.u64(length);
+            return;
+        }
+    }
+
+    if (length < 24) {
+        writer.u8(mt | length);
+    } else if (length <= 0xFF) {
+        writer.u8(mt | 24);
+        writer.u8(length);
+    } else if (length <= 0xFFFF) {
+        writer.u8(mt | 25);
+        writer.u16(length);
+    } else if (length <= 0xFFFFFFFF) {
+        writer.u8(mt | 26);
+        writer.u32(length);
+    } else {
+        writer.u8(mt | 27);
+        writer.u64(length);
+    }
+}
+
+function encodeItem(writer, value, options) {
+    if (value === undefined) {
+        writer.u8(0xF7);
+    } else if (value === null) {
+        writer.u8(0xF6);
+    } else if (value === false) {
+        writer.u8(0xF4);
+    } else if (value === true) {
+        writer.u8(0xF5);
+    } else if (typeof value === 'number') {
+        encodeNumber(writer, value);
+    } else if (value instanceof Float) {
+        encodeFloat(writer, value.value);
+    } else if (typeof value === 'bigint') {
+        encodeBigInt(writer, value);
+    } else if (typeof value === 'string') {
+        const bytes = new TextEncoder().encode(value);
+        writeHead(writer, 3, bytes.length);
+        writer.raw(bytes);
+    } else if (value instanceof Uint8Array) {
+        writeHead(writer, 2, value.length);
+        writer.raw(value);
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        const bytes = value instanceof ArrayBuffer
+            ? new Uint8Array(value)
+            : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        writeHead(writer, 2, bytes.length);
+        writer.raw(bytes);
+    } else if (Array.isArray(value)) {
+        if (options.indefinite && !options.canonical) {
+            writer.u8(0x9F);
+            value.forEach(item => encodeItem(writer, item, options));
+            writer.u8(0xFF);
+            return;
+        }
+        writeHead(writer, 4, value.length);
+        value.forEach(item => encodeItem(writer, item, options));
+    } else if (value instanceof Tagged) {
+        writeHead(writer, 6, value.tag);
+        encodeItem(writer, value.value, options);
+    } else if (value instanceof Simple) {
+        if (value.value < 24) {
+            writer.u8(0xE0 | value.value);
+        } else {
+            writer.u8(0xF8);
+            writer.u8(value.value);
+        }
+    } else if (value instanceof Date) {
+        writeHead(writer, 6, TAG_EPOCH_DATE);
+        encodeNumber(writer, value.getTime() / 1000);
+    } else if (value instanceof Map) {
+        encodeMap(writer, Array.from(value.entries()), options);
+    } else if (typeof value === 'object') {
+        encodeMap(writer, Object.entries(value).filter(([, v]) => v !== undefined), options);
+    } else {
+        throw new Error(`Cannot encode ${typeof value} as CBOR`);
+    }
+}
+
+function encodeMap(writer, entries, options) {
+    if (options.canonical) {
+        // Core deterministic encoding: sort by bytewise order of encoded keys
+        const encoded = entries.map(([k, v]) => [encode(k, options), v]);
+        encoded.sort((a, b) => compareBytes(a[0], b[0]));
+        if (encoded.some(([key], i) => i > 0 && compareBytes(key, encoded[i - 1][0]) === 0)) {
+            throw new Error('Duplicate CBOR map key');
+        }
+        writeHead(writer, 5, encoded.length);
+        for (const [key, val] of encoded) {
+            writer.raw(key);
+            encodeItem(writer, val, options);
+        }
+        return;
+    }
+
+    if (options.indefinite) writer.u8(0xBF);
+    else writeHead(writer, 5, entries.length);
+    for (const [key, val] of entries) {
+        encodeItem(writer, key, options);
+        encodeItem(writer, val, options);
+    }
+    if (options.indefinite) writer.u8(0xFF);
+}
+
+function encodeNumber(writer, value) {
+    if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+        if (value >= 0) {
+            writeHead(writer, 0, value);
+        } else {
+            writeHead(writer, 1, -1 - value);
+        }
+        return;
+    }
+    encodeFloat(writer, value);
+}
+
+// Preferred serialization: shortest float that preserves the value
+function encodeFloat(writer, value) {
+    const half = toHalf(value);
+    if (half !== null) {
+        writer.u8(0xF9);
+        writer.f16(half);
+    } else if (Math.fround(value) === value || Number.isNaN(value)) {
+        writer.u8(0xFA);
+        writer.f32(value);
+    } else {
+        writer.u8(0xFB);
+        writer.f64(value);
+    }
+}
+
+function encodeBigInt(writer, value) {
+    if (value >= 0n && value <= 0xFFFFFFFFFFFFFFFFn) {
+        writeHead(writer, 0, value);
+    } else if (value < 0n && value >= -0x10000000000000000n) {
+        writeHead(writer, 1, -1n - value);
+    } else {
+        const negative = value < 0n;
+        let n = negative ? -1n - value : value;
+        const bytes = [];
+        while (n > 0n) {
+            bytes.unshift(Number(n & 0xFFn));
+            n >>= 8n;
+        }
+        writeHead(writer, 6, negative ? TAG_NEG_BIGNUM : TAG_POS_BIGNUM);
+        writeHead(writer, 2, bytes.length);
+        writer.raw(bytes);
+    }
+}
+
+/**
+ * Convert a double to IEEE 754 half precision bits if that is lossless
+ * @returns {number|null}
+ */
+function toHalf(value) {
+    if (Number.isNaN(value)) return 0x7E00;
+    if (value === Infinity) return 0x7C00;
+    if (value === -Infinity) return 0xFC00;
+    if (value === 0) return Object.is(value, -0) ? 0x8000 : 0x0000;
+
+    const f32 = new Float32Array([value]);
+    if (f32[0] !== value) return null;
+    const bits = new Uint32Array(f32.buffer)[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const exp = ((bits >>> 23) & 0xFF) - 127;
+    const mant = bits & 0x7FFFFF;
+
+    if (exp >= -14 && exp <= 15) {
+        // Normal half: 10 mantissa bits
+        if (mant & 0x1FFF) return null;
+        return sign | ((exp + 15) << 10) | (mant >>> 13);
+    }
+    if (exp >= -24 && exp < -14) {
+        // Subnormal half
+        const shift = -exp - 14 + 13;
+        const full = mant | 0x800000;
+        if (full & ((1 << shift) - 1)) return null;
+        return sign | (full >>> shift);
+    }
+    return null;
+}
+
+function fromHalf(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exp = (bits >> 10) & 0x1F;
+    const mant = bits & 0x3FF;
+    if (exp === 0) return sign * mant * 2 ** -24;
+    if (exp === 0x1F) return mant ? NaN : sign * Infinity;
+    return sign * (1 + mant / 1024) * 2 ** (exp - 15);
+}
+
+function compareBytes(a, b) {
+    const n = Math.min(a.length, b.length);
+    for (let i = 0; i < n; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Byte reader used by the decoder
+ */
+class ByteReader {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+        this.depth = 0;
+    }
+
+    need(n) {
+        if (this.offset + n > this.bytes.length) {
+            throw new Error('Unexpected end of CBOR data');
+        }
+    }
+
+    u8() {
+        this.need(1);
+        return this.bytes[this.offset++];
+    }
+
+    u16() {
+        this.need(2);
+        const v = this.view.getUint16(this.offset);
+        this.offset += 2;
+        return v;
+    }
+
+    u32() {
+        this.need(4);
+        const v = this.view.getUint32(this.offset);
+        this.offset += 4;
+        return v;
+    }
+
+    u64() {
+        this.need(8);
+        const v = this.view.getBigUint64(this.offset);
+        this.offset += 8;
+        return v <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(v) : v;
+    }
+
+    f32() {
+        this.need(4);
+        const v = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return v;
+    }
+
+    f64() {
+        this.need(8);
+        const v = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return v;
+    }
+
+    take(n) {
+        this.need(n);
+        const out = this.bytes.slice(this.offset, this.offset + n);
+        this.offset += n;
+        return out;
+    }
+
+    get done() {
+        return this.offset >= this.bytes.length;
+    }
+
+    // Entering an array, map or tag
+    enter() {
+        if (++this.depth > MAX_NESTING) {
+            throw new Error(`CBOR nesting deeper than ${MAX_NESTING} levels`);
+        }
+    }
+
+    leave() {
+        this.depth--;
+    }
+}
+
+/**
+ * Decode a single CBOR item
+ * @param {Uint8Array} data - Encoded bytes
+ * @returns {*} - Decoded value; maps with non-string keys decode to Map
+ */
+export function decode(data) {
+    const reader = new ByteReader(data);
+    const value = decodeItem(reader);
+    if (value === BREAK) {
+        throw new Error('Unexpected CBOR break');
+    }
+    if (!reader.done) {
+        throw new Error(`Extra data after CBOR item at offset ${reader.offset}`);
+    }
+    return value;
+}
+
+/**
+ * Decode a CBOR sequence (RFC 8742)
+ * @returns {Array} - All items in order
+ */
+export function decodeSequence(data) {
+    const reader = new ByteReader(data);
+    const items = [];
+    while (!reader.done) {
+        const value = decodeItem(reader);
+        if (value === BREAK) {
+            throw new Error('Unexpected CBOR break');
+        }
+        items.push(value);
+    }
+    return items;
+}
+
+function readLength(reader, info) {
+    if (info < 24) return info;
+    if (info === 24) return reader.u8();
+    if (info === 25) return reader.u16();
+    if (info === 26) return reader.u32();
+    if (info === 27) return reader.u64();
+    if (info === 31) return -1; // indefinite
+    throw new Error(`Invalid CBOR additional info ${info}`);
+}
+
+function decodeItem(reader) {
+    const initial = reader.u8();
+    const major = initial >> 5;
+    const info = initial & 0x1F;
+
+    if (major === 7) {
+        return decodeSimple(reader, info);
+    }
+
+    const length = readLength(reader, info);
+    if (length === -1 && (major === 0 || major === 1 || major === 6)) {
+        throw new Error(`Indefinite length not allowed for major type ${major}`);
+    }
+
+    switch (major) {
+        case 0:
+            return length;
+        case 1:
+            return typeof length === 'bigint' ? -1n - length : -1 - length;
+        case 2:
+            return length === -1 ? readChunks(reader, 2) : reader.take(toSize(length));
+        case 3:
+            return length === -1
+                ? new TextDecoder().decode(readChunks(reader, 3))
+                : new TextDecoder().decode(reader.take(toSize(length)));
+        case 4:
+        case 5:
+        case 6: {
+            reader.enter();
+            const value = major === 4 ? readArray(reader, length)
+                : major === 5 ? readMap(reader, length)
+                : decodeTag(length, decodeValue(reader));
+            reader.leave();
+            return value;
+        }
+    }
+    throw new Error(`Invalid CBOR major type ${major}`);
+}
+
+function toSize(length) {
+    if (typeof length === 'bigint') {
+        throw new Error('CBOR item too large');
+    }
+    return length;
+}
+
+function readChunks(reader, major) {
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const initial = reader.u8();
+        if (initial === 0xFF) break;
+        if (initial >> 5 !== major || (initial & 0x1F) === 31) {
+            throw new Error('Invalid chunk in indefinite-length string');
+        }
+        const chunk = reader.take(toSize(readLength(reader, initial & 0x1F)));
+        chunks.push(chunk);
+        total += chunk.length;
+    }
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+}
+
+function readArray(reader, length) {
+    const items = [];
+    if (length === -1) {
+        for (;;) {
+            const item = decodeItem(reader);
+            if (item === BREAK) break;
+            items.push(item);
+        }
+        return items;
+    }
+    for (let i = 0; i < length; i++) {
+        items.push(decodeValue(reader));
+    }
+    return items;
+}
+
+function readMap(reader, length) {
+    const entries = [];
+    if (length === -1) {
+        for (;;) {
+            const key = decodeItem(reader);
+            if (key === BREAK) break;
+            entries.push([key, decodeValue(reader)]);
+        }
+    } else {
+        for (let i = 0; i < length; i++) {
+            entries.push([decodeValue(reader), decodeValue(reader)]);
+        }
+    }
+
+    const duplicate = duplicateKey(entries);
+    if (duplicate !== -1) {
+        throw new Error(`Duplicate CBOR map key ${toDiagnostic(entries[duplicate][0])}`);
+    }
+
+    // Plain objects when every key is a text string, Map otherwise (e.g. SID keys)
+    if (entries.every(([key]) => typeof key === 'string')) {
+        const obj = {};
+        for (const [key, value] of entries) obj[key] = value;
+        return obj;
+    }
+    return new Map(entries);
+}
+
+/**
+ * Index of the first entry that repeats an earlier key, -1 if none does
+ * Maps must not have duplicate keys (RFC 8949 §5.6). Keys are compared by
+ * their decoded value, so a decoded 1 and 1.0 count as the same key.
+ */
+function duplicateKey(entries) {
+    const seen = new Set();
+    for (const [i, [key]] of entries.entries()) {
+        const id = typeof key === 'string' ? `s${key}`
+            : typeof key === 'number' || typeof key === 'bigint' ? `n${key}`
+            : `c${toDiagnostic(key)}`;
+        if (seen.has(id)) return i;
+        seen.add(id);
+    }
+    return -1;
+}
+
+function decodeValue(reader) {
+    const value = decodeItem(reader);
+    if (value === BREAK) {
+        throw new Error('Unexpected CBOR break');
+    }
+    return value;
+}
+
+function decodeTag(tag, value) {
+    if ((tag === TAG_POS_BIGNUM || tag === TAG_NEG_BIGNUM) && value instanceof Uint8Array) {
+        let n = 0n;
+        for (const byte of value) n = (n << 8n) | BigInt(byte);
+        return tag === TAG_POS_BIGNUM ? n : -1n - n;
+    }
+    // Epoch-based date/time (RFC 8949 §3.4.2): seconds, integer or float
+    const seconds = value instanceof Float ? value.value : value;
+    if (tag === TAG_EPOCH_DATE && typeof seconds === 'number') {
+        return new Date(seconds * 1000);
+    }
+    return new Tagged(tag, value);
+}
+
+function decodeSimple(reader, info) {
+    switch (info) {
+        case 20: return false;
+        case 21: return true;
+        case 22: return null;
+        case 23: return undefined;
+        case 24: {
+            const value = reader.u8();
+            if (value < 32) throw new Error('Invalid CBOR simple value encoding');
+            return new Simple(value);
+        }
+        case 25: return fromHalf(reader.u16());
+        case 26: return reader.f32();
+        case 27: return reader.f64();
+        case 31: return BREAK;
+    }
+    if (info < 20) return new Simple(info);
+    throw new Error(`Invalid CBOR simple value ${info}`);
+}
+
+// ---------------------------------------------------------------------------
+// Diagnostic notation
+// ---------------------------------------------------------------------------
+
+/**
+ * Diagnostic notation of a JavaScript value, e.g. {1: h'0102', "a": [_ 1, 2.5]}
+ * @param {Object} options - { indent: spaces per level for multi-line output (0 = one line) }
+ */
+export function toDiagnostic(value, options = {}) {
+    return renderDiag(valueNode(value), options.indent || 0, 0);
+}
+
+/**
+ * Diagnostic notation of encoded CBOR, straight from the bytes
+ * Unlike toDiagnostic(decode(data)) this keeps what decoding loses: floats
+ * with integral values (1.0), indefinite lengths (_) and bignum tags.
+ * A sequence of several items is shown comma-separated.
+ */
+export function diagnose(data, options = {}) {
+    const reader = new ByteReader(data);
+    const items = [];
+    while (!reader.done) {
+        const node = diagItem(reader);
+        if (node === BREAK) throw new Error('Unexpected CBOR break');
+        items.push(renderDiag(node, options.indent || 0, 0));
+    }
+    return items.join(options.indent ? ',\n' : ', ');
+}
+
+/**
+ * Parse diagnostic notation into a value accepted by encode()
+ * Integral floats (1.0) parse to Float so that they are encoded as floats.
+ */
+export function parseDiagnostic(text) {
+    const items = parseDiagnosticSequence(text);
+    if (items.length !== 1) {
+        throw new Error(`Expected one data item, found ${items.length}`);
+    }
+    return items[0];
+}
+
+/**
+ * Parse comma-separated diagnostic notation items (a CBOR sequence)
+ */
+export function parseDiagnosticSequence(text) {
+    const parser = new DiagParser(text);
+    const items = [];
+    parser.skip();
+    while (!parser.done) {
+        items.push(parser.item());
+        parser.skip();
+        if (!parser.done) parser.expect(',');
+        parser.skip();
+    }
+    return items;
+}
+
+// Intermediate form shared by toDiagnostic() and diagnose():
+// a string for scalars, or { open, close, items, indefinite } / { tag, item }
+function valueNode(value) {
+    if (value === undefined) return 'undefined';
+    if (value === null) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') return diagNumber(value, Number.isInteger(value) && !Object.is(value, -0));
+    if (value instanceof Float) return diagNumber(value.value, false);
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (value instanceof Uint8Array) return diagBytes(value);
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        return diagBytes(value instanceof ArrayBuffer
+            ? new Uint8Array(value)
+            : new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    }
+    if (Array.isArray(value)) return { open: '[', close: ']', items: value.map(valueNode) };
+    if (value instanceof Tagged) return { tag: value.tag, item: valueNode(value.value) };
+    if (value instanceof Simple) return `simple(${value.value})`;
+    if (value instanceof Date) return { tag: TAG_EPOCH_DATE, item: valueNode(value.getTime() / 1000) };
+    const entries = value instanceof Map ? Array.from(value.entries())
+        : Object.entries(value).filter(([, v]) => v !== undefined);
+    return { open: '{', close: '}', items: entries.map(([k, v]) => [valueNode(k), valueNode(v)]) };
+}
+
+function diagNumber(value, integer) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return 'Infinity';
+    if (value === -Infinity) return '-Infinity';
+    if (integer) return String(value);
+    if (Object.is(value, -0)) return '-0.0';
+    const text = String(value);
+    return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+function diagBytes(bytes) {
+    return `h'${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}'`;
+}
+
+function diagItem(reader) {
+    const initial = reader.u8();
+    const major = initial >> 5;
+    const info = initial & 0x1F;
+
+    if (major === 7) {
+        if (info === 25) return diagNumber(fromHalf(reader.u16()), false);
+        if (info === 26) return diagNumber(reader.f32(), false);
+        if (info === 27) return diagNumber(reader.f64(), false);
+        const value = decodeSimple(reader, info);
+        return value === BREAK ? BREAK : valueNode(value);
+    }
+
+    const length = readLength(reader, info);
+    if (length === -1 && (major === 0 || major === 1 || major === 6)) {
+        throw new Error(`Indefinite length not allowed for major type ${major}`);
+    }
+
+    switch (major) {
+        case 0:
+            return String(length);
+        case 1:
+            return (typeof length === 'bigint' ? -1n - length : -1 - length).toString();
+        case 2:
+        case 3: {
+            const chunk = (bytes) => major === 2 ? diagBytes(bytes) : JSON.stringify(new TextDecoder().decode(bytes));
+            if (length !== -1) return chunk(reader.take(toSize(length)));
+            const chunks = [];
+            for (;;) {
+                const next = reader.u8();
+                if (next === 0xFF) break;
+                if (next >> 5 !== major || (next & 0x1F) === 31) {
+                    throw new Error('Invalid chunk in indefinite-length string');
+                }
+                chunks.push(chunk(reader.take(toSize(readLength(reader, next & 0x1F)))));
+            }
+            return chunks.length ? `(_ ${chunks.join(', ')})` : (major === 2 ? "''_" : '""_');
+        }
+        case 4:
+        case 5: {
+            reader.enter();
+            const items = [];
+            const one = () => {
+                const node = diagItem(reader);
+                if (node === BREAK) throw new Error('Unexpected CBOR break');
+                return node;
+            };
+            for (let i = 0; length === -1 || i < length; i++) {
+                const first = diagItem(reader);
+                if (first === BREAK) {
+                    if (length === -1) break;
+                    throw new Error('Unexpected CBOR break');
+                }
+                items.push(major === 4 ? first : [first, one()]);
+            }
+            reader.leave();
+            return major === 4
+                ? { open: '[', close: ']', items, indefinite: length === -1 }
+                : { open: '{', close: '}', items, indefinite: length === -1 };
+        }
+        case 6: {
+            reader.enter();
+            const item = diagItem(reader);
+            if (item === BREAK) throw new Error('Unexpected CBOR break');
+            reader.leave();
+            return { tag: length, item };
+        }
+    }
+    throw new Error(`Invalid CBOR major type ${major}`);
+}
+
+function renderDiag(node, indent, depth) {
+    if (typeof node === 'string') return node;
+    if (node.tag !== undefined) return `${node.tag}(${renderDiag(node.item, indent, depth)})`;
+
+    const render = (item) => Array.isArray(item)
+        ? `${renderDiag(item[0], indent, depth + 1)}: ${renderDiag(item[1], indent, depth + 1)}`
+        : renderDiag(item, indent, depth + 1);
+    const marker = node.indefinite ? '_ ' : '';
+    if (node.items.length === 0) return `${node.open}${node.indefinite ? '_ ' : ''}${node.close}`;
+    const line = `${node.open}${marker}${node.items.map(render).join(', ')}${node.close}`;
+    // Short containers stay on one line in multi-line output
+    if (!indent || !line.includes('\n') && indent * depth + line.length <= 72) return line;
+
+    const pad = ' '.repeat(indent * (depth + 1));
+    const inner = node.items.map(item => pad + render(item)).join(',\n');
+    return `${node.open}${marker}\n${inner}\n${' '.repeat(indent * depth)}${node.close}`;
+}
+
+/**
+ * Recursive-descent parser for diagnostic notation
+ * Supports integers (decimal, 0x, 0o, 0b), floats, NaN/Infinity, "text",
+ * h'hex', b64'base64', 'text as bytes', [..], {..}, tag(item), simple(n),
+ * true/false/null/undefined, _ indefinite markers, (_ chunks) and /comments/.
+ */
+class DiagParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    get done() {
+        return this.pos >= this.text.length;
+    }
+
+    fail(message) {
+        throw new Error(`Diagnostic notation: ${message} at position ${this.pos}`);
+    }
+
+    skip() {
+        for (;;) {
+            while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+            if (this.text[this.pos] !== '/') return;
+            const end = this.text.indexOf('/', this.pos + 1);
+            if (end === -1) this.fail('unterminated comment');
+            this.pos = end + 1;
+        }
+    }
+
+    peek() {
+        return this.text[this.pos];
+    }
+
+    expect(ch) {
+        this.skip();
+        if (this.text[this.pos] !== ch) this.fail(`expected '${ch}'`);
+        this.pos++;
+    }
+
+    // Optional "_" after an opening bracket
+    indefinite() {
+        this.skip();
+        if (this.peek() === '_' && !/[\w]/.test(this.text[this.pos + 1] || '')) this.pos++;
+    }
+
+    item() {
+        this.skip();
+        const ch = this.peek();
+        if (ch === undefined) this.fail('unexpected end of input');
+        if (ch === '[') return this.array();
+        if (ch === '{') return this.map();
+        if (ch === '"') return this.text_();
+        if (ch === '(') return this.chunks();
+        if (ch === "'" || /[hb]/.test(ch) && /^(h|b64|b32|h32)'/.test(this.text.slice(this.pos, this.pos + 4))) {
+            return this.bytes();
+        }
+        if (/[-+\d]/.test(ch) || this.text.startsWith('NaN', this.pos) || this.text.startsWith('Infinity', this.pos)) {
+            return this.number();
+        }
+        return this.word();
+    }
+
+    array() {
+        this.pos++;
+        this.indefinite();
+        const items = [];
+        this.skip();
+        while (this.peek() !== ']') {
+            items.push(this.item());
+            this.skip();
+            if (this.peek() === ',') this.pos++;
+            else if (this.peek() !== ']') this.fail("expected ',' or ']'");
+            this.skip();
+        }
+        this.pos++;
+        return items;
+    }
+
+    map() {
+        this.pos++;
+        this.indefinite();
+        const entries = [];
+        this.skip();
+        while (this.peek() !== '}') {
+            const key = this.item();
+            this.expect(':');
+            entries.push([key, this.item()]);
+            this.skip();
+            if (this.peek() === ',') this.pos++;
+            else if (this.peek() !== '}') this.fail("expected ',' or '}'");
+            this.skip();
+        }
+        this.pos++;
+        const duplicate = duplicateKey(entries);
+        if (duplicate !== -1) this.fail(`duplicate map key ${toDiagnostic(entries[duplicate][0])}`);
+        if (entries.every(([key]) => typeof key === 'string')) {
+            return Object.fromEntries(entries);
+        }
+        return new Map(entries);
+    }
+
+    text_() {
+        const start = this.pos;
+        this.pos++;
+        while (this.pos < this.text.length && this.text[this.pos] !== '"') {
+            this.pos += this.text[this.pos] === '\\' ? 2 : 1;
+        }
+        if (this.done) this.fail('unterminated string');
+        this.pos++;
+        const text = this.text.slice(start, this.pos);
+        if (this.peek() === '_') this.pos++;  // ""_ empty indefinite-length string
+        try {
+            return JSON.parse(text.replace(/\n/g, '\\n'));
+        } catch (error) {
+            this.fail(`invalid string (${error.message})`);
+        }
+    }
+
+    bytes() {
+        const prefix = this.text.slice(this.pos).match(/^(h|b64|b32|h32)?'/)[1] || '';
+        this.pos += prefix.length + 1;
+        const end = this.text.indexOf("'", this.pos);
+        if (end === -1) this.fail('unterminated byte string');
+        const body = this.text.slice(this.pos, end);
+        this.pos = end + 1;
+        if (this.peek() === '_') this.pos++;  // ''_ empty indefinite-length string
+
+        switch (prefix) {
+            case '': return new TextEncoder().encode(body);
+            case 'h': {
+                const hex = body.replace(/\s+/g, '');
+                if (!/^([0-9a-fA-F]{2})*$/.test(hex)) this.fail('invalid hex byte string');
+                return Uint8Array.from(hex.match(/../g) || [], b => parseInt(b, 16));
+            }
+            case 'b64': {
+                const b64 = body.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+                const binary = atob(b64.padEnd(Math.ceil(b64.length / 4) * 4, '='));
+                return Uint8Array.from(binary, c => c.charCodeAt(0));
+            }
+            default:
+                return this.fail(`unsupported byte string encoding ${prefix}'`);
+        }
+    }
+
+    // (_ chunk, chunk): indefinite-length string, joined into one value
+    chunks() {
+        this.pos++;
+        this.indefinite();
+        const parts = [];
+        this.skip();
+        while (this.peek() !== ')') {
+            parts.push(this.item());
+            this.skip();
+            if (this.peek() === ',') this.pos++;
+            else if (this.peek() !== ')') this.fail("expected ',' or ')'");
+            this.skip();
+        }
+        this.pos++;
+        if (parts.every(p => typeof p === 'string')) return parts.join('');
+        if (parts.every(p => p instanceof Uint8Array)) {
+            const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+            let offset = 0;
+            for (const p of parts) {
+                out.set(p, offset);
+                offset += p.length;
+            }
+            return out;
+        }
+        return this.fail('string chunks must all be text or all bytes');
+    }
+
+    number() {
+        const match = this.text.slice(this.pos).match(
+            /^[-+]?(?:NaN|Infinity|0x[0-9a-fA-F]+|0o[0-7]+|0b[01]+|\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)(?:_[0-3])?/);
+        if (!match) this.fail('invalid number');
+        this.pos += match[0].length;
+        const literal = match[0].replace(/_[0-3]$/, '');
+
+        // Tag: number directly followed by "("
+        if (this.peek() === '(' && /^\d+$/.test(literal)) {
+            this.pos++;
+            const value = this.item();
+            this.expect(')');
+            return decodeTag(toTagNumber(BigInt(literal)), value);
+        }
+
+        const negative = literal.startsWith('-');
+        const unsigned = literal.replace(/^[-+]/, '');
+        if (unsigned === 'NaN') return NaN;
+        if (unsigned === 'Infinity') return negative ? -Infinity : Infinity;
+        if (/^0[xob]/.test(unsigned) || /^\d+$/.test(unsigned)) {
+            const n = BigInt(unsigned) * (negative ? -1n : 1n);
+            return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n;
+        }
+        const value = Number(literal);
+        return Number.isInteger(value) ? new Float(value) : value;
+    }
+
+    word() {
+        const match = this.text.slice(this.pos).match(/^[a-z]+/);
+        const word = match ? match[0] : '';
+        this.pos += word.length;
+        switch (word) {
+            case 'true': return true;
+            case 'false': return false;
+            case 'null': return null;
+            case 'undefined': return undefined;
+            case 'simple': {
+                this.expect('(');
+                this.skip();
+                const value = this.number();
+                this.expect(')');
+                if (!(Number.isInteger(value) && value >= 0 && value <= 255) || (value >= 24 && value < 32)) {
+                    this.fail(`invalid simple value ${value}`);
+                }
+                return new Simple(value);
+            }
+        }
+        return this.fail(`unexpected '${word || this.peek()}'`);
+    }
+}
+
+function toTagNumber(tag) {
+    return tag <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(tag) : tag;
+}
+
+export default {
+    encode, decode, encodeSequence, decodeSequence,
+    toDiagnostic, diagnose, parseDiagnostic, parseDiagnosticSequence,
+    Tagged, Simple, Float
+};
@@ -3,14 +3,166 @@
  * RFC 7252 (CoAP) and RFC 9254 (YANG to CBOR)
  */
 
-import { encode as cborEncode, decode as cborDecode } from './cbor.js';
+import {
+    encode as cborEncode, decode as cborDecode,
+    encodeSequence as cborEncodeSequence, decodeSequence as cborDecodeSequence
+} from './cbor.js';
+import { decodeErrors } from './coreconf.js';
+
+// Option numbers (RFC 7252 §5.10, RFC 7641, RFC 7959)
+export const OPTIONS = {
+    IF_MATCH: 1,
+    URI_HOST: 3,
+    ETAG: 4,
+    IF_NONE_MATCH: 5,
+    OBSERVE: 6,
+    URI_PORT: 7,
+    LOCATION_PATH: 8,
+    URI_PATH: 11,
+    CONTENT_FORMAT: 12,
+    MAX_AGE: 14,
+    URI_QUERY: 15,
+    ACCEPT: 17,
+    LOCATION_QUERY: 20,
+    BLOCK2: 23,
+    BLOCK1: 27,
+    SIZE2: 28,
+    PROXY_URI: 35,
+    PROXY_SCHEME: 39,
+    SIZE1: 60
+};
+
+// Content-Format registry entries used by CORECONF devices
+export const CONTENT_FORMATS = {
+    0: 'text/plain; charset=utf-8',
+    40: 'application/link-format',
+    41: 'application/xml',
+    42: 'application/octet-stream',
+    50: 'application/json',
+    60: 'application/cbor',
+    63: 'application/cbor-seq',
+    140: 'application/yang-data+cbor; id=sid',
+    141: 'application/yang-identifiers+cbor-seq',
+    142: 'application/yang-instances+cbor-seq'
+};
+
+// Response codes keyed by the raw code byte, class * 32 + detail (RFC 7252 §12.1.2, RFC 7959, RFC 8132)
+export const RESPONSE_CODES = {
+    65: 'Created',                       // 2.01
+    66: 'Deleted',                       // 2.02
+    67: 'Valid',                         // 2.03
+    68: 'Changed',                       // 2.04
+    69: 'Content',                       // 2.05
+    95: 'Continue',                      // 2.31
+    128: 'Bad Request',                  // 4.00
+    129: 'Unauthorized',                 // 4.01
+    130: 'Bad Option',                   // 4.02
+    131: 'Forbidden',                    // 4.03
+    132: 'Not Found',                    // 4.04
+    133: 'Method Not Allowed',           // 4.05
+    134: 'Not Acceptable',               // 4.06
+    136: 'Request Entity Incomplete',    // 4.08
+    137: 'Conflict',                     // 4.09
+    140: 'Precondition Failed',          // 4.12
+    141: 'Request Entity Too Large',     // 4.13
+    143: 'Unsupported Content-Format',   // 4.15
+    150: 'Unprocessable Entity',         // 4.22
+    160: 'Internal Server Error',        // 5.00
+    161: 'Not Implemented',              // 5.01
+    162: 'Bad Gateway',                  // 5.02
+    163: 'Service Unavailable',          // 5.03
+    164: 'Gateway Timeout',              // 5.04
+    165: 'Proxying Not Supported'        // 5.05
+};
+
+/**
+ * "4.04 Not Found" for a raw code byte
+ */
+export function formatCode(code) {
+    const dotted = `${code >> 5}.${String(code & 0x1F).padStart(2, '0')}`;
+    return RESPONSE_CODES[code] ? `${dotted} ${RESPONSE_CODES[code]}` : dotted;
+}
+
+/**
+ * Error response from the device
+ * errors holds the decoded ietf-restconf:errors entries
+ * ({ type, tag, appTag, path, message, info }), empty if the payload had none.
+ */
+export class CoAPError extends Error {
+    constructor(response, errors = []) {
+        const [first] = errors;
+        const detail = first ? (first.message || first.tag) + (first.path ? ` (${first.path})` : '') : '';
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        super(detail ? `${formatCode(response.code)}: ${detail}${more}` : formatCode(response.code));
+        this.name = 'CoAPError';
+        this.code = response.code;
+        this.payload = response.payload;
+        this.options = response.options;
+        this.response = response;
+        this.errors = errors;
+    }
+}
+
+// Content-Format of request payloads when the caller does not choose one
+export const DEFAULT_CONTENT_FORMAT = 60;
+
+const UINT_OPTIONS = new Set([
+    OPTIONS.OBSERVE, OPTIONS.URI_PORT, OPTIONS.CONTENT_FORMAT, OPTIONS.MAX_AGE,
+    OPTIONS.ACCEPT, OPTIONS.BLOCK2, OPTIONS.BLOCK1, OPTIONS.SIZE2, OPTIONS.SIZE1
+]);
+const STRING_OPTIONS = new Set([
+    OPTIONS.URI_HOST, OPTIONS.LOCATION_PATH, OPTIONS.URI_PATH, OPTIONS.URI_QUERY,
+    OPTIONS.LOCATION_QUERY, OPTIONS.PROXY_URI, OPTIONS.PROXY_SCHEME
+]);
 
 export class CoAPClient {
-    constructor(controller) {
+    /**
+     * @param {Object} options - { tokenLength: 0..8, blockSize: 16..1024 }
+     *   tokenLength 0 (default) sends TKL=0 like the vendor CLI; requests are then
+     *   matched by Message ID and at most one may wait for a separate response.
+     *   blockSize is the preferred block-wise transfer size (RFC 7959).
+     */
+    constructor(controller, options = {}) {
         this.controller = controller;
-        this.messageId = 1;
-        this.token = 1;
+        // Random start so a reloaded page does not reuse recent Message IDs
+        this.messageId = Math.floor(Math.random() * 0x10000);
+        this.tokenLength = 0;
+        this.setTokenLength(options.tokenLength ?? 0);
+        this.blockSize = 512;
+        this.setBlockSize(options.blockSize ?? 512);
         this.pendingRequests = new Map();
+        this.observations = new Map();   // token -> active Observe registration
+        
+        // Request scheduler: at most `nstart` requests outstanding (RFC 7252 NSTART)
+        this.nstart = 1;
+        this.queue = [];
+        this.sequence = 0;
+        this.timeout = null;             // optional overall deadline per request (ms)
+        
+        // Reliability (RFC 7252 §4.8)
+        this.ACK_TIMEOUT = 2000;
+        this.ACK_RANDOM_FACTOR = 1.5;
+        this.MAX_RETRANSMIT = 4;
+        this.EXCHANGE_LIFETIME = 247000;
+        this.separateTimeout = 30000;    // wait for a separate response after an empty ACK
+        
+        // Message IDs of CON/NON messages received from the device, for deduplication
+        this.received = new Map();
+        this.statistics = { retransmissions: 0, timeouts: 0, resets: 0, duplicates: 0, notifications: 0, staleNotifications: 0 };
+        
+        this.TYPES = {
+            CON: 0,
+            NON: 1,
+            ACK: 2,
+            RST: 3
+        };
+        
+        // Lower value is served first; `transfer` keeps block-wise transfers together
+        this.PRIORITIES = {
+            transfer: -1,
+            interactive: 0,
+            background: 1
+        };
         
         // CoAP codes
         this.METHODS = {
@@ -18,65 +170,370 @@ export class CoAPClient {
             POST: 2,
             PUT: 3,
             DELETE: 4,
-            FETCH: 5
+            FETCH: 5,
+            PATCH: 6,
+            IPATCH: 7
         };
         
-        this.RESPONSE_CODES = {
-            201: 'Created',
-            202: 'Deleted',
-            203: 'Valid',
-            204: 'Changed',
-            205: 'Content',
-            400: 'Bad Request',
-            401: 'Unauthorized',
-            404: 'Not Found',
-            405: 'Method Not Allowed',
-            500: 'Internal Server Error'
-        };
+        this.RESPONSE_CODES = RESPONSE_CODES;
     }
 
     /**
      * Send CoAP request
+     * Payloads larger than the block size are sent with Block1 and large
+     * responses are fetched with Block2, then reassembled and decoded.
+     * @param {*} payload - Value to encode in the request Content-Format, or a Uint8Array sent as is
+     * @param {Object} options - { priority: 'interactive'|'background', signal: AbortSignal, timeout: ms,
+     *   contentFormat: Content-Format of the payload (default 60, application/cbor; sequences
+     *     such as 141/142 take an array of items), accept: Content-Format wanted in the response,
+     *   fullResponse: resolve with { code, options, payload, ... } instead of the payload,
+     *   onProgress: ({ direction: 'upload'|'download', uri, transferred, total }) => void }
      */
-    async request(method, uri, payload = null) {
-        // Allocate Message ID and build CoAP message (TKL=0)
-        const mid = this.messageId++;
-        const message = this.buildMessage(method, uri, payload, mid);
-        const frame = this.controller.protocol.createCoapFrame(message);
+    async request(method, uri, payload = null, options = {}) {
+        const body = payload === null || payload === undefined ? null
+            : payload instanceof Uint8Array ? payload
+            : encodePayload(payload, options.contentFormat ?? DEFAULT_CONTENT_FORMAT);
+        
+        let response;
+        if (body && body.length > this.blockSize) {
+            response = await this.upload(method, uri, body, options, this.blockSize);
+        } else {
+            try {
+                response = await this.exchange(method, uri, body, options);
+            } catch (error) {
+                // 4.13 Request Entity Too Large: retry block-wise with the size the device asks for
+                if (error.code !== 141 || !body) throw error;
+                const hint = error.options?.block1?.size ?? this.blockSize;
+                response = await this.upload(method, uri, body, options, Math.min(hint, this.blockSize));
+            }
+        }
+        
+        if (response.options.block2) {
+            response = await this.download(method, uri, body, response, options);
+        }
+        return options.fullResponse ? response : response.payload;
+    }
 
-        // Debug logging
-        if (typeof window !== "undefined" && window.__logRaw) {
-            window.__logRaw('CoAP', 'TX', message, { method, uri });
-            window.__logRaw('MUP1', 'TX', frame, { method, uri });
+    /**
+     * Block1 upload; the device may ask for smaller blocks in its 2.31 Continue
+     */
+    async upload(method, uri, body, options, size) {
+        let szx = blockSzx(size);
+        let offset = 0;
+        
+        for (;;) {
+            const blockSize = 1 << (szx + 4);
+            const num = offset / blockSize;
+            const chunk = body.slice(offset, offset + blockSize);
+            const more = offset + chunk.length < body.length;
+            const coapOptions = [blockOption(OPTIONS.BLOCK1, num, more, szx)];
+            if (num === 0) coapOptions.push({ number: OPTIONS.SIZE1, value: encodeUint(body.length) });
+            
+            const response = await this.exchange(method, uri, chunk, {
+                ...options,
+                coapOptions,
+                priority: offset === 0 ? options.priority : 'transfer'
+            });
+            offset += chunk.length;
+            options.onProgress?.({ direction: 'upload', uri, transferred: offset, total: body.length });
+            
+            if (!more) return response;
+            if (response.code !== 95) {
+                throw new Error(`Block-wise upload of ${uri} ended early with ${formatCode(response.code)}`);
+            }
+            const granted = response.options.block1;
+            if (granted && granted.szx < szx) szx = granted.szx;
         }
+    }
+
+    /**
+     * Block2 download: request the remaining blocks and reassemble the body
+     */
+    async download(method, uri, body, first, options) {
+        if (!first.options.block2.more && first.options.block2.num === 0) {
+            return first;
+        }
+        if (method !== this.METHODS.GET && method !== this.METHODS.FETCH) {
+            throw new Error(`Block-wise response to method ${method} is not supported`);
+        }
+        
+        const chunks = [first.body];
+        const total = first.options.size2;
+        const etag = first.options.etag ? tokenKey(first.options.etag) : null;
+        let received = first.body.length;
+        let block = first.options.block2;
+        let szx = Math.min(block.szx, blockSzx(this.blockSize));
+        let last = first;
+        options.onProgress?.({ direction: 'download', uri, transferred: received, total });
         
-        // Store pending request
-        const promise = new Promise((resolve, reject) => {
-            this.pendingRequests.set(mid, { resolve, reject, meta: { method, uri, payload } });
+        while (block.more) {
+            const num = received / (1 << (szx + 4));
+            last = await this.exchange(method, uri, method === this.METHODS.FETCH ? body : null, {
+                ...options,
+                coapOptions: [blockOption(OPTIONS.BLOCK2, num, false, szx)],
+                priority: 'transfer'
+            });
             
-            // Timeout after 10 seconds
-            setTimeout(() => {
-                if (this.pendingRequests.has(mid)) {
-                    this.pendingRequests.delete(mid);
-                    reject(new Error('Request timeout'));
-                }
-            }, 10000);
+            block = last.options.block2;
+            if (!block || block.num !== num) {
+                throw new Error(`Device ignored Block2 request for ${uri}`);
+            }
+            if (etag && last.options.etag && tokenKey(last.options.etag) !== etag) {
+                throw new Error(`${uri} changed during block-wise transfer`);
+            }
+            szx = Math.min(szx, block.szx);
+            chunks.push(last.body);
+            received += last.body.length;
+            options.onProgress?.({ direction: 'download', uri, transferred: received, total });
+        }
+        
+        const all = new Uint8Array(received);
+        let offset = 0;
+        for (const chunk of chunks) {
+            all.set(chunk, offset);
+            offset += chunk.length;
+        }
+        
+        let payload;
+        try {
+            payload = all.length ? decodePayload(all, first.options.contentFormat) : null;
+        } catch (error) {
+            throw new Error(`Invalid ${CONTENT_FORMATS[first.options.contentFormat] || 'payload'}: ${error.message}`);
+        }
+        return { ...last, options: first.options, body: all, payload };
+    }
+
+    /**
+     * Queue a single request/response exchange
+     * Requests are sent when an in-flight slot is free.
+     * @param {Uint8Array} body - Encoded payload
+     * @param {Object} options - request() options plus coapOptions: extra [{ number, value }]
+     * @returns {Promise<Object>} - Parsed response
+     */
+    exchange(method, uri, body = null, options = {}) {
+        const { priority = 'interactive', signal = null, timeout = this.timeout, token = null } = options;
+        const coapOptions = [...(options.coapOptions || []), ...this.formatOptions(body, options)];
+        
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(abortError(uri));
+                return;
+            }
+            
+            const entry = {
+                method, uri, body, coapOptions, token, timeout, signal, resolve, reject,
+                priority: this.PRIORITIES[priority] ?? this.PRIORITIES.interactive,
+                seq: this.sequence++,
+                mid: null,
+                timer: null
+            };
+            if (signal) {
+                entry.onAbort = () => this.finish(entry, null, abortError(uri));
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            
+            // Keep the queue ordered by priority, FIFO within a priority
+            const index = this.queue.findIndex(e => e.priority > entry.priority);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+            this.notifyQueue();
+            this.pump();
         });
-        await this.controller.connection.sendBytes(frame);
+    }
+
+    /**
+     * Content-Format (only with a payload) and Accept options of a request
+     */
+    formatOptions(body, { contentFormat = DEFAULT_CONTENT_FORMAT, accept = null } = {}) {
+        const list = [];
+        if (body && body.length > 0 && contentFormat !== null) {
+            list.push({ number: OPTIONS.CONTENT_FORMAT, value: encodeUint(contentFormat) });
+        }
+        if (accept !== null) {
+            list.push({ number: OPTIONS.ACCEPT, value: encodeUint(accept) });
+        }
+        return list;
+    }
+
+    /**
+     * Dispatch queued requests while in-flight slots are free
+     */
+    pump() {
+        while (this.pendingRequests.size < this.nstart && this.queue.length > 0) {
+            this.dispatch(this.queue.shift());
+        }
+    }
+
+    /**
+     * Put one request on the wire
+     */
+    dispatch(entry) {
+        const { method, uri, body } = entry;
+        
+        // Allocate Message ID and token, build CoAP message
+        const mid = this.messageId;
+        this.messageId = (this.messageId + 1) & 0xFFFF;
+        const token = entry.token || this.generateToken();
+        const message = this.buildMessage(method, uri, body, mid, token, entry.coapOptions);
+        
+        entry.mid = mid;
+        entry.token = token;
+        entry.tokenKey = tokenKey(token);
+        entry.meta = { method, uri, payload: body };
+        entry.message = message;
+        entry.frame = this.controller.protocol.createCoapFrame(message);
+        entry.retransmits = 0;
+        entry.ackTimeout = this.ACK_TIMEOUT * (1 + Math.random() * (this.ACK_RANDOM_FACTOR - 1));
+        entry.acknowledged = false;
+        if (entry.timeout) {
+            entry.deadline = setTimeout(() => this.finish(entry, null, new Error('Request timeout')), entry.timeout);
+        }
+        this.pendingRequests.set(mid, entry);
+        this.notifyQueue();
+        
+        this.transmit(entry);
+    }
+
+    /**
+     * Set the token length used for new requests (RFC 7252 allows 0..8 bytes)
+     */
+    setTokenLength(length) {
+        if (!Number.isInteger(length) || length < 0 || length > 8) {
+            throw new Error(`Invalid token length ${length} (0..8)`);
+        }
+        this.tokenLength = length;
+    }
+
+    /**
+     * Set the preferred block size (power of two, 16..1024)
+     */
+    setBlockSize(size) {
+        if (!(size >= 16 && size <= 1024) || (size & (size - 1)) !== 0) {
+            throw new Error(`Invalid block size ${size} (16..1024, power of two)`);
+        }
+        this.blockSize = size;
+    }
+
+    /**
+     * Random token, unique among outstanding requests
+     */
+    generateToken(length = this.tokenLength) {
+        const token = new Uint8Array(length);
+        if (token.length === 0) return token;
         
-        return promise;
+        const inUse = new Set([...this.pendingRequests.values()].map(entry => entry.tokenKey));
+        this.observations.forEach((observation, key) => inUse.add(key));
+        do {
+            crypto.getRandomValues(token);
+        } while (inUse.has(tokenKey(token)));
+        return token;
+    }
+
+    /**
+     * Send (or resend) a confirmable request and arm the retransmission timer
+     */
+    transmit(entry) {
+        const { method, uri } = entry.meta;
+
+        // Debug logging
+        if (typeof window !== "undefined" && window.__logRaw) {
+            const meta = entry.retransmits ? { method, uri, retransmit: entry.retransmits } : { method, uri };
+            window.__logRaw('CoAP', 'TX', entry.message, meta);
+            window.__logRaw('MUP1', 'TX', entry.frame, meta);
+        }
+        
+        entry.timer = setTimeout(() => this.retransmit(entry), entry.ackTimeout);
+        this.controller.connection.sendBytes(entry.frame).catch(error => this.finish(entry, null, error));
+    }
+
+    /**
+     * ACK timeout: resend with doubled timeout, give up after MAX_RETRANSMIT
+     */
+    retransmit(entry) {
+        if (entry.retransmits >= this.MAX_RETRANSMIT) {
+            this.statistics.timeouts++;
+            const error = new Error(`Request timeout: no ACK after ${entry.retransmits} retransmissions`);
+            this.finish(entry, null, error);
+            return;
+        }
+        entry.retransmits++;
+        entry.ackTimeout *= 2;
+        this.statistics.retransmissions++;
+        this.transmit(entry);
+    }
+
+    /**
+     * Settle a request, free its slot and send the next one
+     */
+    finish(entry, value, error = null) {
+        if (entry.mid !== null) {
+            if (this.pendingRequests.get(entry.mid) !== entry) return;
+            this.pendingRequests.delete(entry.mid);
+        } else {
+            const index = this.queue.indexOf(entry);
+            if (index === -1) return;
+            this.queue.splice(index, 1);
+        }
+        clearTimeout(entry.timer);
+        clearTimeout(entry.deadline);
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(value);
+        }
+        this.notifyQueue();
+        this.pump();
+    }
+
+    /**
+     * Cancel queued and in-flight requests
+     * @param {string} priority - Only cancel requests of this priority (all if omitted)
+     * @returns {number} - Number of cancelled requests
+     */
+    cancelAll(priority = null) {
+        const level = priority === null ? null : this.PRIORITIES[priority];
+        const entries = [...this.queue, ...this.pendingRequests.values()]
+            .filter(entry => level === null || entry.priority === level);
+        
+        entries.forEach(entry => this.finish(entry, null, abortError(entry.uri)));
+        return entries.length;
+    }
+
+    /**
+     * Current scheduler load
+     */
+    getQueueDepth() {
+        const byPriority = {};
+        for (const [name, level] of Object.entries(this.PRIORITIES)) {
+            byPriority[name] = this.queue.filter(entry => entry.priority === level).length;
+        }
+        return { queued: this.queue.length, inFlight: this.pendingRequests.size, byPriority };
+    }
+
+    /**
+     * Reliability counters
+     */
+    getMessageStatistics() {
+        return { ...this.statistics };
+    }
+
+    notifyQueue() {
+        this.controller.emit?.('queue', this.getQueueDepth());
     }
 
     /**
      * Build CoAP message
+     * @param {*} payload - Value to encode as CBOR, or already encoded Uint8Array
+     * @param {Array} extraOptions - Additional options [{ number, value: Uint8Array }]
      */
-    buildMessage(method, uri, payload, messageId) {
+    buildMessage(method, uri, payload, messageId, token = new Uint8Array(0), extraOptions = []) {
         const header = [];
         
         // Version (2 bits) | Type (2 bits) | Token Length (4 bits)
         const ver = 1; // CoAP version 1
         const type = 0; // Confirmable
-        const tkl = 0; // Token length (CLI는 토큰 미사용)
+        const tkl = token.length; // 0 by default (CLI는 토큰 미사용)
         header.push((ver << 6) | (type << 4) | tkl);
         
         // Code (8 bits)
@@ -86,16 +543,17 @@ export class CoAPClient {
         header.push((messageId >> 8) & 0xFF);
         header.push(messageId & 0xFF);
         
-        // Token 미사용 (TKL=0)
+        // Token
+        header.push(...token);
         
         // Options
-        const options = this.encodeOptions(uri);
+        const options = this.encodeOptions(uri, extraOptions);
         header.push(...options);
         
         // Payload marker and payload
-        if (payload) {
+        const encoded = payload instanceof Uint8Array ? payload : payload ? cborEncode(payload) : null;
+        if (encoded && encoded.length > 0) {
             header.push(0xFF); // Payload marker
-            const encoded = cborEncode(payload);
             header.push(...encoded);
         }
         
@@ -104,90 +562,47 @@ export class CoAPClient {
 
     /**
      * Encode CoAP options
+     * Options are sorted by number and delta-encoded.
      */
-    encodeOptions(uri) {
-        const options = [];
+    encodeOptions(uri, extraOptions = []) {
+        const encoder = new TextEncoder();
+        const list = [];
         const [pathPart, queryPart] = uri.split('?');
         const segments = (pathPart || '').split('/').filter(s => s);
         
-        let prevOption = 0;
-        
         // Uri-Path options (Option 11)
         segments.forEach(segment => {
-            const delta = 11 - prevOption;
-            const length = segment.length;
-            
-            if (delta < 13 && length < 13) {
-                options.push((delta << 4) | length);
-            } else {
-                // Extended option format
-                let firstByte = 0;
-                
-                if (delta < 13) {
-                    firstByte |= (delta << 4);
-                } else if (delta < 269) {
-                    firstByte |= (13 << 4);
-                    options.push(firstByte);
-                    options.push(delta - 13);
-                    firstByte = 0;
-                } else {
-                    firstByte |= (14 << 4);
-                    options.push(firstByte);
-                    options.push((delta - 269) >> 8);
-                    options.push((delta - 269) & 0xFF);
-                    firstByte = 0;
-                }
-                
-                if (length < 13) {
-                    if (firstByte) options.push(firstByte | length);
-                } else if (length < 269) {
-                    if (firstByte) options.push(firstByte | 13);
-                    options.push(length - 13);
-                } else {
-                    if (firstByte) options.push(firstByte | 14);
-                    options.push((length - 269) >> 8);
-                    options.push((length - 269) & 0xFF);
-                }
-            }
-            
-            // Add segment bytes
-            for (let i = 0; i < segment.length; i++) {
-                options.push(segment.charCodeAt(i));
-            }
-            
-            prevOption = 11;
+            list.push({ number: OPTIONS.URI_PATH, value: encoder.encode(segment) });
         });
         
-        // Content-Format option (Option 12) for CBOR payload
-        // NOTE: 실제 CORECONF 미디어타입은 yang-*-cbor-seq 이지만 우선 60(application/cbor) 사용
-        let delta = 12 - prevOption;
-        options.push((delta << 4) | 1);
-        options.push(60);
-        prevOption = 12;
-
         // Uri-Query options (Option 15) e.g., d=a
         if (queryPart) {
-            const queries = queryPart.split('&').filter(Boolean);
-            for (const q of queries) {
-                const qBytes = [];
-                for (let i = 0; i < q.length; i++) qBytes.push(q.charCodeAt(i));
-                delta = 15 - prevOption;
-                if (delta < 13 && qBytes.length < 13) {
-                    options.push((delta << 4) | qBytes.length);
-                } else {
-                    // 단순 확장 형식 (길이<269 가정)
-                    const first = (delta < 13 ? delta : 13) << 4 | 13;
-                    options.push(first);
-                    options.push(qBytes.length - 13);
-                }
-                options.push(...qBytes);
-                prevOption = 15;
-            }
+            queryPart.split('&').filter(Boolean).forEach(q => {
+                list.push({ number: OPTIONS.URI_QUERY, value: encoder.encode(q) });
+            });
         }
+        
+        list.push(...extraOptions);
+        list.sort((a, b) => a.number - b.number);
 
+        const options = [];
+        let prevOption = 0;
+        for (const { number, value } of list) {
+            options.push(...this.encodeOptionHeader(number - prevOption, value.length), ...value);
+            prevOption = number;
+        }
         return options;
     }
 
+    /**
+     * Encode option header byte plus extended delta/length (RFC 7252 §3.1)
+     */
+    encodeOptionHeader(delta, length) {
+        const nibble = (v) => (v < 13 ? v : v < 269 ? 13 : 14);
+        const extended = (v) => (v < 13 ? [] : v < 269 ? [v - 13] : [(v - 269) >> 8, (v - 269) & 0xFF]);
+        return [(nibble(delta) << 4) | nibble(length), ...extended(delta), ...extended(length)];
+    }
+
     /**
      * Parse CoAP response
      */
@@ -206,29 +621,29 @@ export class CoAPClient {
         let offset = 4;
         
         // Extract token
-        let token = 0;
-        for (let i = 0; i < tokenLength; i++) {
-            token = (token << 8) | data[offset++];
+        if (tokenLength > 8 || offset + tokenLength > data.length) {
+            throw new Error('Invalid CoAP token length');
         }
+        const token = data.slice(offset, offset + tokenLength);
+        offset += tokenLength;
         
-        // Parse options and find payload
-        let payloadStart = data.length;
-        for (let i = offset; i < data.length; i++) {
-            if (data[i] === 0xFF) {
-                payloadStart = i + 1;
-                break;
-            }
-        }
+        // Parse options; the payload follows the 0xFF marker
+        const { list, end } = decodeOptions(data, offset);
+        const options = summarizeOptions(list);
+        
+        // Blocks of a Block2 transfer are decoded once reassembled
+        const body = data.slice(end);
+        const partial = options.block2 && (options.block2.more || options.block2.num > 0);
         
-        // Extract payload
         let payload = null;
-        if (payloadStart < data.length) {
-            const payloadData = data.slice(payloadStart);
+        let payloadError = null;
+        if (end < data.length && !partial) {
+            const payloadData = body;
             try {
-                payload = cborDecode(payloadData);
+                payload = decodePayload(payloadData, options.contentFormat);
             } catch (e) {
-                // If not CBOR, treat as raw data
                 payload = payloadData;
+                payloadError = `Invalid ${CONTENT_FORMATS[options.contentFormat] || 'payload'}: ${e.message}`;
             }
         }
         
@@ -238,81 +653,542 @@ export class CoAPClient {
             code,
             messageId,
             token,
-            payload
+            options,
+            rawOptions: list,
+            body,
+            payload,
+            payloadError
         };
     }
 
     /**
-     * Handle CoAP response
+     * Handle CoAP message from the device
+     * ACK/RST are matched by Message ID; separate (CON/NON) responses by token.
      */
     handleResponse(data, rawFrame) {
         try {
             const response = this.parseResponse(data);
-            const pending = this.pendingRequests.get(response.messageId);
+            const { type, code, messageId } = response;
             
-            if (pending) {
-                this.pendingRequests.delete(response.messageId);
-                // Debug logging
-                if (typeof window !== "undefined" && window.__logRaw) {
-                    if (rawFrame) window.__logRaw('MUP1', 'RX', rawFrame, { code: response.code });
-                    window.__logRaw('CoAP', 'RX', data, { code: response.code });
-                }
-                if (typeof window !== "undefined" && window.__pushHistory) {
-                    const ok = Math.floor(response.code / 32) === 2;
-                    window.__pushHistory({ method: pending.meta?.method, uri: pending.meta?.uri, payload: pending.meta?.payload, ok, code: response.code, data: response.payload });
+            if (type === this.TYPES.ACK || type === this.TYPES.RST) {
+                const pending = this.pendingRequests.get(messageId);
+                if (!pending) return;  // late or duplicate ACK
+                
+                // A piggybacked response must also echo our token; otherwise it
+                // answers an older request that used the same Message ID
+                if (code !== 0 && type === this.TYPES.ACK && tokenKey(response.token) !== pending.tokenKey) {
+                    this.statistics.duplicates++;
+                    return;
                 }
                 
-                const responseClass = Math.floor(response.code / 32);
-                if (responseClass === 2) {
-                    // Success response
-                    pending.resolve(response.payload);
+                if (type === this.TYPES.RST) {
+                    this.statistics.resets++;
+                    const error = new Error('Request rejected by device (RST)');
+                    error.name = 'ResetError';
+                    this.finish(pending, null, error);
+                } else if (code === 0) {
+                    this.acknowledge(pending);
                 } else {
-                    // Error response
-                    const error = new Error(this.RESPONSE_CODES[response.code] || `Error ${response.code}`);
-                    error.code = response.code;
-                    error.payload = response.payload;
-                    pending.reject(error);
+                    this.complete(pending, response, data, rawFrame);
                 }
+                return;
+            }
+            
+            // CON or NON from the device: deduplicate by Message ID
+            if (this.isDuplicate(type, messageId)) {
+                this.statistics.duplicates++;
+                return;
+            }
+            
+            const key = tokenKey(response.token);
+            const pending = this.findSeparate(key);
+            const observation = pending ? null : this.observations.get(key);
+            if (observation && code !== 0) {
+                if (type === this.TYPES.CON) this.sendEmpty(this.TYPES.ACK, messageId);
+                this.notify(observation, response);
+                return;
             }
+            if (code === 0 || !pending) {
+                // CoAP ping or response nobody is waiting for
+                if (type === this.TYPES.CON) this.sendEmpty(this.TYPES.RST, messageId);
+                return;
+            }
+            
+            if (type === this.TYPES.CON) this.sendEmpty(this.TYPES.ACK, messageId);
+            this.complete(pending, response, data, rawFrame);
         } catch (error) {
             console.error('Failed to handle CoAP response:', error);
         }
     }
 
+    /**
+     * Request a separate response answers, matched by token
+     * Usually the request was acknowledged first. If that empty ACK was lost,
+     * the response acknowledges the request itself (RFC 7252 §5.2.2); with
+     * equal tokens (e.g. zero-length) that is only certain for a single request.
+     */
+    findSeparate(key) {
+        const entries = [...this.pendingRequests.values()].filter(entry => entry.tokenKey === key);
+        return entries.find(entry => entry.acknowledged) || (entries.length === 1 ? entries[0] : null);
+    }
+
+    /**
+     * Empty ACK: the device will send the response separately
+     */
+    acknowledge(entry) {
+        if (entry.acknowledged) return;
+        entry.acknowledged = true;
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(
+            () => this.finish(entry, null, new Error('Request timeout: no separate response')),
+            this.separateTimeout
+        );
+    }
+
+    /**
+     * Resolve or reject a request with its response
+     */
+    complete(pending, response, data, rawFrame) {
+        // Debug logging
+        if (typeof window !== "undefined" && window.__logRaw) {
+            if (rawFrame) window.__logRaw('MUP1', 'RX', rawFrame, { code: response.code });
+            window.__logRaw('CoAP', 'RX', data, { code: response.code });
+        }
+        if (typeof window !== "undefined" && window.__pushHistory) {
+            const ok = Math.floor(response.code / 32) === 2;
+            window.__pushHistory({ method: pending.meta?.method, uri: pending.meta?.uri, payload: pending.meta?.payload, ok, code: response.code, data: response.payload });
+        }
+        
+        const responseClass = Math.floor(response.code / 32);
+        if (responseClass === 2 && !response.payloadError) {
+            // Success response
+            this.finish(pending, response);
+        } else if (responseClass === 2) {
+            // Success code with an undecodable payload
+            const error = new Error(response.payloadError);
+            error.code = response.code;
+            error.payload = response.payload;
+            error.options = response.options;
+            this.finish(pending, null, error);
+        } else {
+            this.finish(pending, null, this.responseError(response));
+        }
+    }
+
+    /**
+     * CoAPError for an error response, with ietf-restconf:errors decoded from its payload
+     * SID-keyed error payloads are resolved with the controller's SID registry.
+     */
+    responseError(response) {
+        return new CoAPError(response, decodeErrors(response.payload, this.controller?.sids));
+    }
+
+    /**
+     * Remember a received CON/NON Message ID; duplicates of a CON get the same ACK/RST again
+     * @returns {boolean} - true if this message was already seen
+     */
+    isDuplicate(type, messageId) {
+        const now = Date.now();
+        for (const [mid, seen] of this.received) {
+            if (now - seen.time < this.EXCHANGE_LIFETIME) break;
+            this.received.delete(mid);
+        }
+        
+        const seen = this.received.get(messageId);
+        if (seen) {
+            if (seen.reply !== null) this.sendEmpty(seen.reply, messageId);
+            return true;
+        }
+        this.received.set(messageId, { time: now, reply: null });
+        return false;
+    }
+
+    /**
+     * Send an empty ACK or RST
+     */
+    sendEmpty(type, messageId) {
+        const seen = this.received.get(messageId);
+        if (seen) seen.reply = type;
+        
+        const message = new Uint8Array([(1 << 6) | (type << 4), 0, (messageId >> 8) & 0xFF, messageId & 0xFF]);
+        const frame = this.controller.protocol.createCoapFrame(message);
+        this.controller.connection.sendBytes(frame).catch(error => {
+            console.warn('Failed to send empty CoAP message:', error.message);
+        });
+    }
+
     /**
      * GET request
      */
-    async get(uri) {
-        return this.request(this.METHODS.GET, uri);
+    async get(uri, options) {
+        return this.request(this.METHODS.GET, uri, null, options);
     }
 
     /**
      * POST request
      */
-    async post(uri, data) {
-        return this.request(this.METHODS.POST, uri, data);
+    async post(uri, data, options) {
+        return this.request(this.METHODS.POST, uri, data, options);
     }
 
     /**
      * PUT request
      */
-    async put(uri, data) {
-        return this.request(this.METHODS.PUT, uri, data);
+    async put(uri, data, options) {
+        return this.request(this.METHODS.PUT, uri, data, options);
     }
 
     /**
      * DELETE request
      */
-    async delete(uri) {
-        return this.request(this.METHODS.DELETE, uri);
+    async delete(uri, options) {
+        return this.request(this.METHODS.DELETE, uri, null, options);
     }
 
     /**
      * FETCH request (with filter)
      */
-    async fetch(uri, filter) {
-        return this.request(this.METHODS.FETCH, uri, filter);
+    async fetch(uri, filter, options) {
+        return this.request(this.METHODS.FETCH, uri, filter, options);
+    }
+
+    /**
+     * iPATCH request (RFC 8132), idempotent
+     * @param {Array} instances - yang-instances items, e.g. [Map { iid => value }]; null values delete
+     */
+    async ipatch(uri, instances, options = {}) {
+        return this.request(this.METHODS.IPATCH, uri, instances, { contentFormat: 142, ...options });
     }
+
+    /**
+     * PATCH request (RFC 8132), for edits that are not idempotent
+     */
+    async patch(uri, instances, options = {}) {
+        return this.request(this.METHODS.PATCH, uri, instances, { contentFormat: 142, ...options });
+    }
+
+    /**
+     * Observe a resource (RFC 7641)
+     * The callback gets the current value and then every notification. If the
+     * device does not accept the registration the handle has supported: false
+     * and the caller should poll instead.
+     * @param {Function} callback - (value, response) => void
+     * @param {Object} options - request() options plus onError: (error) => void when the observation ends
+     * @returns {Promise<{uri: string, supported: boolean, cancel: Function}>}
+     */
+    async observe(uri, callback, options = {}) {
+        // Notifications are matched by token, so observations always use one
+        const token = this.generateToken(Math.max(this.tokenLength, 4));
+        const observation = {
+            uri, callback, options, token,
+            key: tokenKey(token),
+            sequence: null,
+            time: 0,
+            timer: null
+        };
+        
+        const supported = await this.register(observation);
+        if (!supported) {
+            return { uri, supported: false, cancel: async () => {} };
+        }
+        return { uri, supported: true, cancel: () => this.cancelObservation(observation) };
+    }
+
+    /**
+     * Send the Observe=0 registration and deliver the current value
+     * @returns {boolean} - true if the device will send notifications
+     */
+    async register(observation) {
+        const { uri, options, token } = observation;
+        const { onError, ...requestOptions } = options;
+        let response = await this.exchange(this.METHODS.GET, uri, null, {
+            ...requestOptions,
+            token,
+            coapOptions: [{ number: OPTIONS.OBSERVE, value: encodeUint(0) }]
+        });
+        const sequence = response.options.observe;
+        if (response.options.block2) {
+            response = await this.download(this.METHODS.GET, uri, null, response, requestOptions);
+        }
+        
+        if (sequence === null) {
+            this.endObservation(observation, new Error(`Device does not support Observe for ${uri}`));
+        } else {
+            observation.sequence = sequence;
+            observation.time = Date.now();
+            this.observations.set(observation.key, observation);
+            this.armObservation(observation, response.options.maxAge);
+        }
+        observation.callback(response.payload, response);
+        return sequence !== null;
+    }
+
+    /**
+     * Handle a notification: drop reordered ones, fetch remaining blocks, deliver
+     */
+    async notify(observation, response) {
+        const { observe, block2, maxAge } = response.options;
+        
+        // Error or missing Observe option: the device ended the observation
+        if (Math.floor(response.code / 32) !== 2 || observe === null) {
+            this.endObservation(observation, Math.floor(response.code / 32) !== 2
+                ? this.responseError(response)
+                : new Error(`Observation of ${observation.uri} ended`));
+            return;
+        }
+        
+        // Freshness rule (RFC 7641 §3.4)
+        const v1 = observation.sequence;
+        const now = Date.now();
+        const fresh = (v1 < observe && observe - v1 < 2 ** 23) ||
+                      (v1 > observe && v1 - observe > 2 ** 23) ||
+                      now > observation.time + 128000;
+        if (!fresh) {
+            this.statistics.staleNotifications++;
+            return;
+        }
+        observation.sequence = observe;
+        observation.time = now;
+        this.statistics.notifications++;
+        this.armObservation(observation, maxAge);
+        
+        try {
+            if (block2) {
+                const { onError, ...requestOptions } = observation.options;
+                response = await this.download(this.METHODS.GET, observation.uri, null, response, requestOptions);
+                if (observation.sequence !== observe) return;  // a newer notification arrived meanwhile
+            }
+            observation.callback(response.payload, response);
+        } catch (error) {
+            console.warn(`Failed to complete notification for ${observation.uri}:`, error.message);
+        }
+    }
+
+    /**
+     * Re-register when no notification arrived within Max-Age
+     */
+    armObservation(observation, maxAge) {
+        clearTimeout(observation.timer);
+        observation.timer = setTimeout(() => {
+            if (this.observations.get(observation.key) !== observation) return;
+            this.register(observation).catch(error => this.endObservation(observation, error));
+        }, (maxAge + 5) * 1000);
+    }
+
+    endObservation(observation, error) {
+        clearTimeout(observation.timer);
+        if (this.observations.get(observation.key) === observation) {
+            this.observations.delete(observation.key);
+            observation.options.onError?.(error);
+        }
+    }
+
+    /**
+     * Stop an observation and tell the device (GET with Observe=1)
+     */
+    async cancelObservation(observation) {
+        clearTimeout(observation.timer);
+        if (this.observations.get(observation.key) !== observation) return;
+        this.observations.delete(observation.key);
+        
+        try {
+            await this.exchange(this.METHODS.GET, observation.uri, null, {
+                priority: 'background',
+                token: observation.token,
+                coapOptions: [{ number: OPTIONS.OBSERVE, value: encodeUint(1) }]
+            });
+        } catch (error) {
+            // The device also drops the observation on its next notification (RST)
+        }
+    }
+
+    /**
+     * Register all observations again, e.g. after the device restarted
+     */
+    async resubscribe() {
+        const observations = [...this.observations.values()];
+        await Promise.all(observations.map(observation =>
+            this.register(observation).catch(error => this.endObservation(observation, error))
+        ));
+    }
+}
+
+/**
+ * Decode the option list (RFC 7252 §3.1)
+ * @returns {{list: Array<{number: number, value: Uint8Array}>, end: number}} - end is the payload offset
+ */
+export function decodeOptions(data, offset = 0) {
+    const list = [];
+    let number = 0;
+    
+    while (offset < data.length) {
+        const byte = data[offset++];
+        if (byte === 0xFF) {
+            if (offset >= data.length) throw new Error('Payload marker without payload');
+            return { list, end: offset };
+        }
+        
+        const readExtended = (nibble) => {
+            if (nibble < 13) return nibble;
+            if (nibble === 13) {
+                if (offset >= data.length) throw new Error('Truncated CoAP option');
+                return data[offset++] + 13;
+            }
+            if (nibble === 14) {
+                if (offset + 1 >= data.length) throw new Error('Truncated CoAP option');
+                const value = ((data[offset] << 8) | data[offset + 1]) + 269;
+                offset += 2;
+                return value;
+            }
+            throw new Error('Reserved option nibble 15');
+        };
+        
+        number += readExtended(byte >> 4);
+        const length = readExtended(byte & 0x0F);
+        if (offset + length > data.length) throw new Error('Truncated CoAP option value');
+        
+        list.push({ number, value: data.slice(offset, offset + length) });
+        offset += length;
+    }
+    
+    return { list, end: data.length };
+}
+
+/**
+ * Turn an option list into named fields
+ */
+export function summarizeOptions(list) {
+    const options = {
+        contentFormat: null,
+        etag: null,
+        locationPath: [],
+        locationQuery: [],
+        block1: null,
+        block2: null,
+        observe: null,
+        maxAge: 60,
+        size2: null
+    };
+    
+    for (const { number, value } of list) {
+        const uint = UINT_OPTIONS.has(number) ? decodeUint(value) : null;
+        switch (number) {
+            case OPTIONS.CONTENT_FORMAT: options.contentFormat = uint; break;
+            case OPTIONS.ETAG: options.etag = value; break;
+            case OPTIONS.LOCATION_PATH: options.locationPath.push(decodeOptionValue(number, value)); break;
+            case OPTIONS.LOCATION_QUERY: options.locationQuery.push(decodeOptionValue(number, value)); break;
+            case OPTIONS.BLOCK1: options.block1 = decodeBlock(uint); break;
+            case OPTIONS.BLOCK2: options.block2 = decodeBlock(uint); break;
+            case OPTIONS.OBSERVE: options.observe = uint; break;
+            case OPTIONS.MAX_AGE: options.maxAge = uint; break;
+            case OPTIONS.SIZE2: options.size2 = uint; break;
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * Decode one option value by its format (uint, string or opaque)
+ */
+export function decodeOptionValue(number, value) {
+    if (UINT_OPTIONS.has(number)) return decodeUint(value);
+    if (STRING_OPTIONS.has(number)) return new TextDecoder().decode(value);
+    return value;
+}
+
+function decodeUint(value) {
+    return value.reduce((acc, b) => acc * 256 + b, 0);
+}
+
+/**
+ * Block1/Block2 value: NUM | M | SZX (RFC 7959 §2.2)
+ */
+export function decodeBlock(value) {
+    const szx = value & 0x07;
+    return {
+        num: Math.floor(value / 16),
+        more: (value & 0x08) !== 0,
+        szx,
+        size: 1 << (szx + 4)
+    };
+}
+
+function encodeUint(value) {
+    const bytes = [];
+    for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xFF);
+    return new Uint8Array(bytes);
+}
+
+function blockOption(number, num, more, szx) {
+    return { number, value: encodeUint(num * 16 + (more ? 8 : 0) + szx) };
+}
+
+// SZX of the largest block that fits into `size` bytes
+function blockSzx(size) {
+    return Math.max(0, Math.min(6, Math.floor(Math.log2(size)) - 4));
+}
+
+/**
+ * Encode a payload value in the given Content-Format
+ * CBOR sequences (63, 141, 142) take an array with one element per item.
+ */
+export function encodePayload(value, contentFormat) {
+    switch (contentFormat) {
+        case 63:
+        case 141:
+        case 142:
+            return cborEncodeSequence(Array.isArray(value) ? value : [value]);
+        case 0:
+        case 40:
+        case 41:
+            return new TextEncoder().encode(String(value));
+        case 50:
+            return new TextEncoder().encode(JSON.stringify(value));
+        default:
+            return cborEncode(value);
+    }
+}
+
+/**
+ * Decode a payload according to its Content-Format
+ * Without a Content-Format the payload is tried as CBOR, then returned as bytes.
+ */
+export function decodePayload(bytes, contentFormat) {
+    switch (contentFormat) {
+        case null:
+        case undefined:
+            try {
+                return cborDecode(bytes);
+            } catch {
+                return bytes;
+            }
+        case 60:
+        case 140:
+            return cborDecode(bytes);
+        case 63:
+        case 141:
+        case 142:
+            return cborDecodeSequence(bytes);
+        case 0:
+        case 40:
+        case 41:
+            return new TextDecoder().decode(bytes);
+        case 50:
+            return JSON.parse(new TextDecoder().decode(bytes));
+        default:
+            return bytes;
+    }
+}
+
+function tokenKey(token) {
+    return Array.from(token, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function abortError(uri) {
+    const error = new Error(`Request cancelled: ${uri}`);
+    error.name = 'AbortError';
+    return error;
 }
 
 export default CoAPClient;
@@ -0,0 +1,173 @@
+/**
+ * Configuration backup and restore
+ * A backup holds the configuration subtrees (see getFullConfiguration) together
+ * with the device type, firmware version and serial number from the announcement, as
+ * JSON (RFC 7951 encoding) or CBOR. Restoring stages the subtrees in a
+ * ConfigTransaction, so a failed restore is rolled back.
+ */
+
+import { encode as cborEncode, decode as cborDecode } from './cbor.js';
+import { joinSchemaPath } from './coreconf.js';
+
+export const BACKUP_FORMAT = 'mup1-config-backup';
+export const BACKUP_VERSION = 1;
+
+// YANG types that RFC 7951 writes as JSON strings but CBOR as integers or bytes
+const INTEGER_TYPES = new Set(['int64', 'uint64', 'counter64', 'zero-based-counter64', 'gauge64', 'timeticks64']);
+
+/**
+ * Read the configuration of the connected device into a backup
+ * @param {LAN966xController} controller
+ * @param {Object} options - { datastore: datastore to read (default running, configuration only),
+ *   onProgress: see getFullConfiguration }
+ * @returns {Object} - { format, version, created, datastore, device, config }
+ */
+export async function createBackup(controller, { datastore = 'running', onProgress } = {}) {
+    const device = controller.deviceInfo || await controller.getDeviceInfo();
+    const config = await controller.getFullConfiguration({ datastore, onProgress });
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        created: new Date().toISOString(),
+        datastore,
+        device: {
+            deviceType: device?.deviceType ?? 'Unknown',
+            firmwareVersion: device?.firmwareVersion ?? 'Unknown',
+            serialNumber: device?.serialNumber ?? 'Unknown'
+        },
+        config
+    };
+}
+
+/**
+ * Serialize a backup
+ * JSON follows RFC 7951: 64-bit integers as strings, binary as base64.
+ * @param {'json'|'cbor'} format
+ * @returns {string|Uint8Array}
+ */
+export function encodeBackup(backup, format = 'json') {
+    if (format === 'cbor') {
+        return cborEncode(backup);
+    }
+    if (format !== 'json') {
+        throw new Error(`Unknown backup format ${format}`);
+    }
+    return JSON.stringify(backup, (key, value) => {
+        if (typeof value === 'bigint') return value.toString();
+        if (value instanceof Uint8Array) return btoa(String.fromCharCode(...value));
+        if (value instanceof Map) return Object.fromEntries(value);
+        return value;
+    }, 2);
+}
+
+/**
+ * Parse a backup file, JSON or CBOR
+ * In JSON, 64-bit integers and binary values are strings; with a registry
+ * whose SID files give the leaf types they are converted back to the values
+ * a CBOR backup or the device would give (number or BigInt, Uint8Array).
+ * @param {string|Uint8Array|ArrayBuffer} data - File contents
+ * @param {SIDRegistry} [sids] - Leaf types for JSON backups
+ */
+export function decodeBackup(data, sids = null) {
+    const bytes = typeof data === 'string' ? null
+        : data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    let backup;
+    let json = false;
+    try {
+        // A CBOR backup starts with a map header (major type 5), which is never JSON text
+        json = !bytes || (bytes[0] & 0xE0) !== 0xA0;
+        backup = json ? JSON.parse(bytes ? new TextDecoder().decode(bytes) : data) : cborDecode(bytes);
+    } catch (error) {
+        throw new Error(`Not a configuration backup: ${error.message}`);
+    }
+
+    if (backup?.format !== BACKUP_FORMAT || !backup.config || typeof backup.config !== 'object') {
+        throw new Error('Not a configuration backup');
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new Error(`Backup version ${backup.version} is newer than this tool (${BACKUP_VERSION})`);
+    }
+    if (json && sids) {
+        for (const [root, value] of Object.entries(backup.config)) {
+            backup.config[root] = fromJsonTypes(sids, `/${root}`, value);
+        }
+    }
+    return backup;
+}
+
+// Convert the string leaves of a JSON subtree that have a typed CBOR representation
+function fromJsonTypes(sids, schemaPath, value) {
+    if (Array.isArray(value)) {
+        return value.map(item => fromJsonTypes(sids, schemaPath, item));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .map(([name, child]) => [name, fromJsonTypes(sids, joinSchemaPath(schemaPath, name), child)]));
+    }
+    if (typeof value !== 'string') return value;
+
+    const type = sids.typeOf(schemaPath);
+    if (INTEGER_TYPES.has(type) && /^-?\d+$/.test(value)) {
+        const n = BigInt(value);
+        return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n;
+    }
+    if (type === 'binary') {
+        try {
+            return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+        } catch {
+            throw new Error(`${schemaPath}: invalid base64 value`);
+        }
+    }
+    return value;
+}
+
+/**
+ * Check whether a backup fits the connected device
+ * A different device type blocks the restore; a different firmware version or
+ * unit only warns.
+ * @param {Object} deviceInfo - From parseAnnouncement
+ * @returns {{compatible: boolean, errors: string[], warnings: string[]}}
+ */
+export function checkCompatibility(backup, deviceInfo) {
+    const errors = [];
+    const warnings = [];
+    const from = backup.device || {};
+    const known = (value) => value && value !== 'Unknown';
+
+    if (!deviceInfo) {
+        warnings.push('Device information is not available; compatibility not checked');
+    } else {
+        if (known(from.deviceType) && known(deviceInfo.deviceType) && from.deviceType !== deviceInfo.deviceType) {
+            errors.push(`Backup is from a ${from.deviceType}, device is a ${deviceInfo.deviceType}`);
+        }
+        if (known(from.firmwareVersion) && from.firmwareVersion !== deviceInfo.firmwareVersion) {
+            warnings.push(`Backup is from firmware ${from.firmwareVersion}, device runs ${deviceInfo.firmwareVersion}`);
+        }
+        if (known(from.serialNumber) && from.serialNumber !== deviceInfo.serialNumber) {
+            warnings.push(`Backup is from unit ${from.serialNumber}, device is ${deviceInfo.serialNumber}`);
+        }
+    }
+
+    return { compatible: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Stage a restore: every subtree of the backup replaces the one on the device
+ * @returns {ConfigTransaction} - Preview with diff(), then apply({ persist })
+ */
+export function stageRestore(controller, backup) {
+    const transaction = controller.transaction({ datastore: backup.datastore ?? undefined });
+    for (const [root, value] of Object.entries(backup.config)) {
+        transaction.set(`/${root}`, value);
+    }
+    return transaction;
+}
+
+/**
+ * File name for a backup, e.g. "LAN9662-ung8291-2025-06-01.json"
+ */
+export function backupFileName(backup, format = 'json') {
+    const { deviceType = 'device', serialNumber = 'unknown' } = backup.device || {};
+    return `${deviceType}-${serialNumber}-${backup.created.slice(0, 10)}.${format}`;
+}
@@ -0,0 +1,217 @@
+/**
+ * Staged configuration transactions
+ * Collects edits without touching the device, shows them as a diff against
+ * the values on the device, applies them one by one and, if a step fails,
+ * writes back the values captured before the first step.
+ */
+
+import { sameValue } from './yang-diff.js';
+
+/**
+ * Failed transaction
+ * step is the edit that failed ({ path, op, before, after }), cause the error
+ * it failed with; rollbackErrors lists the edits that could not be restored.
+ */
+export class TransactionError extends Error {
+    constructor(message, { step = null, cause = null, rollbackErrors = [] } = {}) {
+        super(message);
+        this.name = 'TransactionError';
+        this.step = step;
+        this.cause = cause;
+        this.rollbackErrors = rollbackErrors;
+    }
+}
+
+export class ConfigTransaction {
+    /**
+     * @param {LAN966xController} controller
+     * @param {Object} options - { datastore: datastore to read and write (default: the controller's;
+     *   if that is the device's choice, values are read from running and written without one) }
+     */
+    constructor(controller, options = {}) {
+        this.controller = controller;
+        this.datastore = options.datastore ?? null;
+        this.edits = new Map();        // instance path -> new value, null deletes; in staging order
+        this.state = 'staged';         // staged | applied | rolled-back | failed
+    }
+
+    get size() {
+        return this.edits.size;
+    }
+
+    /**
+     * Stage a value for a data node; staging a path again replaces its value
+     */
+    set(path, value) {
+        this.checkStaged();
+        if (value === undefined) throw new Error(`No value for ${path}`);
+        this.edits.set(path, value);
+        return this;
+    }
+
+    /**
+     * Stage deleting a data node
+     */
+    delete(path) {
+        this.checkStaged();
+        this.edits.set(path, null);
+        return this;
+    }
+
+    /**
+     * Stage the edits a controller method would make, e.g.
+     * await tx.stage(c => c.configurePort(0, { enabled: false }))
+     * The callback gets a controller whose writes are recorded here instead of
+     * being sent. Reads, such as looking up a port's interface name, go to the
+     * device; other requests that bypass writeData/deleteData/patchData fail.
+     */
+    async stage(callback) {
+        this.checkStaged();
+        await callback(this.stagingController());
+        return this;
+    }
+
+    stagingController() {
+        const controller = this.controller;
+        const staging = Object.create(controller);
+        // Discovered ports are cached on the controller itself
+        staging.readData = controller.readData.bind(controller);
+        staging.discoverInterfaces = controller.discoverInterfaces.bind(controller);
+        staging.getInterfaces = controller.getInterfaces.bind(controller);
+        staging.writeData = async (path, value) => { this.set(path, value); return null; };
+        staging.deleteData = async (path) => { this.delete(path); return null; };
+        staging.patchData = async (edits) => {
+            for (const [path, value] of Object.entries(edits)) {
+                if (value === null) this.delete(path);
+                else this.set(path, value);
+            }
+            return null;
+        };
+        staging.coap = new Proxy({}, {
+            get: (target, method) => () => {
+                throw new Error(`Direct CoAP ${String(method)} cannot be staged; load SID files for this path`);
+            }
+        });
+        return staging;
+    }
+
+    checkStaged() {
+        if (this.state !== 'staged') {
+            throw new Error(`Transaction is ${this.state}`);
+        }
+    }
+
+    /**
+     * Compare the staged edits with the device
+     * @returns {Array<{path, op: 'create'|'update'|'delete'|'unchanged', before, after}>} - In staging order;
+     *   before is null where the node does not exist
+     */
+    async diff(options = {}) {
+        const steps = [];
+        for (const [index, [path, after]] of [...this.edits].entries()) {
+            options.onProgress?.({ phase: 'capture', index, count: this.edits.size, path });
+            const before = await this.read(path);
+            steps.push({ path, op: stepOperation(before, after), before, after });
+        }
+        return steps;
+    }
+
+    /**
+     * Apply the staged edits in order; on failure restore the captured values
+     * @param {Object} options - { persist: save the running configuration to startup afterwards,
+     *   onProgress: ({ phase: 'capture'|'apply'|'rollback'|'persist', index, count, path }) => void }
+     * @returns {Array} - The applied diff
+     * @throws {TransactionError} - After rolling back
+     */
+    async apply({ persist = false, onProgress } = {}) {
+        this.checkStaged();
+        const steps = (await this.diff({ onProgress })).filter(step => step.op !== 'unchanged');
+        const writeOptions = { datastore: this.datastore ?? undefined };
+
+        const attempted = [];
+        let failed = null;
+        try {
+            for (const [index, step] of steps.entries()) {
+                onProgress?.({ phase: 'apply', index, count: steps.length, path: step.path });
+                attempted.push(step);
+                failed = step;
+                if (step.after === null) await this.controller.deleteData(step.path, writeOptions);
+                else await this.controller.writeData(step.path, step.after, writeOptions);
+            }
+            failed = null;
+            if (persist) {
+                onProgress?.({ phase: 'persist', index: 0, count: 1, path: null });
+                if (!await this.controller.saveConfiguration()) {
+                    throw new Error('Device reported failure saving configuration');
+                }
+            }
+        } catch (error) {
+            const rollbackErrors = await this.rollback(attempted, onProgress);
+            this.state = rollbackErrors.length ? 'failed' : 'rolled-back';
+            const where = failed ? ` at ${failed.path}` : ' while saving';
+            throw new TransactionError(
+                `Transaction failed${where}: ${error.message}` +
+                (rollbackErrors.length ? ` (${rollbackErrors.length} edit(s) could not be restored)` : '; changes rolled back'),
+                { step: failed, cause: error, rollbackErrors });
+        }
+
+        this.state = 'applied';
+        return steps;
+    }
+
+    /**
+     * Restore the captured values of the attempted steps, newest first
+     * The failed step is included: a timed-out request may still have been applied.
+     * @returns {Array<{step, error}>} - Steps that could not be restored
+     */
+    async rollback(steps, onProgress) {
+        const errors = [];
+        const writeOptions = { datastore: this.datastore ?? undefined };
+        for (const [index, step] of [...steps].reverse().entries()) {
+            onProgress?.({ phase: 'rollback', index, count: steps.length, path: step.path });
+            try {
+                if (step.before === null) await this.controller.deleteData(step.path, writeOptions);
+                else await this.controller.writeData(step.path, step.before, writeOptions);
+            } catch (error) {
+                if (step.before === null && error.code === 132) continue;  // 4.04: never created
+                errors.push({ step, error });
+            }
+        }
+        return errors;
+    }
+
+    // Current value of a node, null if it does not exist
+    // Without a datastore a read would include state nodes, which are then
+    // shown as changes and written back on rollback; running has none.
+    async read(path) {
+        try {
+            return await this.controller.readData(path, { datastore: this.datastore ?? this.controller.datastore ?? 'running' });
+        } catch (error) {
+            if (error.code === 132) return null;
+            throw error;
+        }
+    }
+}
+
+function stepOperation(before, after) {
+    if (after === null) return before === null ? 'unchanged' : 'delete';
+    if (before === null) return 'create';
+    return sameValue(before, after) ? 'unchanged' : 'update';
+}
+
+/**
+ * Diff lines for display: "+ path = value", "- path", "~ path: old -> new"
+ */
+export function formatDiff(steps) {
+    const json = (value) => JSON.stringify(value);
+    return steps.map(({ path, op, before, after }) => {
+        switch (op) {
+            case 'create': return `+ ${path} = ${json(after)}`;
+            case 'delete': return `- ${path} (was ${json(before)})`;
+            case 'update': return `~ ${path}: ${json(before)} -> ${json(after)}`;
+            default: return `  ${path} = ${json(after)} (unchanged)`;
+        }
+    }).join('\n');
+}
+
+export default ConfigTransaction;
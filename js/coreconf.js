@@ -0,0 +1,412 @@
+/**
+ * CORECONF support: YANG Schema Item iDentifiers (SIDs)
+ * Loads SID files (RFC 9595), maps schema paths to SIDs, builds instance
+ * identifiers with list keys and converts values to and from the delta-SID
+ * CBOR representation of RFC 9254.
+ */
+
+/**
+ * Parse an instance path like "/ietf-interfaces:interfaces/interface[name='eth0']"
+ * Quoted key values stay strings; unquoted numeric values become numbers.
+ * @returns {Array<{name: string, keys: Array<{name: string, value: string|number}>}>}
+ */
+export function parseInstancePath(path) {
+    const segments = [];
+    let i = path.startsWith('/') ? 1 : 0;
+
+    while (i < path.length) {
+        let name = '';
+        while (i < path.length && path[i] !== '/' && path[i] !== '[') name += path[i++];
+        if (!name) throw new Error(`Invalid instance path: ${path}`);
+
+        const keys = [];
+        while (path[i] === '[') {
+            const close = findPredicateEnd(path, i);
+            const match = path.slice(i + 1, close).match(/^\s*([^=\s]+)\s*=\s*(?:(['"])(.*)\2|([^'"\s]+))\s*$/);
+            if (!match) throw new Error(`Invalid key predicate in ${path}`);
+            const value = match[2] ? match[3] : /^-?\d+$/.test(match[4]) ? Number(match[4]) : match[4];
+            keys.push({ name: match[1], value });
+            i = close + 1;
+        }
+
+        segments.push({ name, keys });
+        if (path[i] === '/') i++;
+        else if (i < path.length) throw new Error(`Invalid instance path: ${path}`);
+    }
+
+    return segments;
+}
+
+function findPredicateEnd(path, start) {
+    let quote = null;
+    for (let i = start + 1; i < path.length; i++) {
+        const ch = path[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '\'' || ch === '"') {
+            quote = ch;
+        } else if (ch === ']') {
+            return i;
+        }
+    }
+    throw new Error(`Unterminated key predicate in ${path}`);
+}
+
+/**
+ * Append a child to a schema path, keeping the module prefix only where the module changes
+ */
+export function joinSchemaPath(parent, name) {
+    const module = moduleOf(parent);
+    const [prefix, local] = name.includes(':') ? name.split(':') : [null, name];
+    return `${parent}/${prefix && prefix !== module ? `${prefix}:${local}` : local}`;
+}
+
+// Module of the last node in a schema path
+function moduleOf(path) {
+    let module = null;
+    for (const segment of path.split('/')) {
+        if (segment.includes(':')) module = segment.split(':')[0];
+    }
+    return module;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Map) && !(value instanceof Uint8Array);
+}
+
+/**
+ * SIDs of every loaded module
+ */
+export class SIDRegistry {
+    constructor() {
+        this.modules = new Map();      // module name -> { name, revision, ranges, itemCount }
+        this.files = [];               // loaded SID files as given, for persistence
+        this.pathToSid = new Map();    // schema path -> SID (namespace "data")
+        this.sidToItem = new Map();    // SID -> { namespace, identifier }
+        this.identities = new Map();   // identity name ("module:identity") -> SID
+        this.types = new Map();        // schema path -> YANG type of a leaf or leaf-list, where the file gives it
+    }
+
+    get size() {
+        return this.pathToSid.size;
+    }
+
+    /**
+     * Load a SID file (RFC 9595 JSON, with or without the ietf-sid-file:sid-file wrapper)
+     * @param {Object|string} file - Parsed JSON or JSON text
+     * @returns {string} - Module name
+     */
+    load(file) {
+        const data = typeof file === 'string' ? JSON.parse(file) : file;
+        const body = data?.['ietf-sid-file:sid-file'] || data;
+        const items = body?.item || body?.items;
+        const name = body?.['module-name'];
+        if (!name || !Array.isArray(items)) {
+            throw new Error('Not a SID file: missing module-name or item list');
+        }
+
+        for (const item of items) {
+            const sid = Number(item.sid);
+            if (!Number.isSafeInteger(sid) || !item.identifier) {
+                throw new Error(`${name}: invalid SID item ${JSON.stringify(item)}`);
+            }
+            this.sidToItem.set(sid, { namespace: item.namespace, identifier: item.identifier });
+            if (item.namespace === 'data') {
+                this.pathToSid.set(item.identifier, sid);
+                if (typeof item.type === 'string') this.types.set(item.identifier, item.type);
+            } else if (item.namespace === 'identity') {
+                this.identities.set(item.identifier, sid);
+            }
+        }
+
+        this.modules.set(name, {
+            name,
+            revision: body['module-revision'] || null,
+            ranges: body['assignment-range'] || [],
+            itemCount: items.length
+        });
+        this.files = this.files.filter(f => (f['ietf-sid-file:sid-file'] || f)['module-name'] !== name);
+        this.files.push(data);
+        return name;
+    }
+
+    /**
+     * Forget all loaded SID files
+     */
+    clear() {
+        this.modules.clear();
+        this.files = [];
+        this.pathToSid.clear();
+        this.sidToItem.clear();
+        this.identities.clear();
+        this.types.clear();
+    }
+
+    /**
+     * SID of a schema node path, e.g. "/ietf-interfaces:interfaces/interface/enabled"
+     */
+    getSid(schemaPath) {
+        return this.pathToSid.get(schemaPath);
+    }
+
+    /**
+     * Schema node path of a data SID
+     */
+    getPath(sid) {
+        const item = this.sidToItem.get(sid);
+        return item?.namespace === 'data' ? item.identifier : undefined;
+    }
+
+    /**
+     * Top-level data nodes of the loaded modules, e.g. "/ietf-interfaces:interfaces"
+     */
+    roots() {
+        return [...this.pathToSid.keys()].filter(path => path.lastIndexOf('/') === 0);
+    }
+
+    /**
+     * YANG type of a leaf or leaf-list (RFC 9595 item "type"), without module prefix
+     * @returns {string|undefined} - e.g. "uint64", "identityref"; undefined if the SID file does not say
+     */
+    typeOf(schemaPath) {
+        return this.types.get(schemaPath)?.replace(/^.*:/, '');
+    }
+
+    /**
+     * Schema path and ordered key values of an instance path
+     */
+    toSchemaPath(instancePath) {
+        let schemaPath = '';
+        const keys = [];
+        for (const segment of parseInstancePath(instancePath)) {
+            schemaPath = schemaPath ? joinSchemaPath(schemaPath, segment.name) : `/${segment.name}`;
+            keys.push(...segment.keys.map(k => k.value));
+        }
+        return { schemaPath, keys };
+    }
+
+    /**
+     * True if the instance path can be addressed with SIDs
+     */
+    knows(instancePath) {
+        try {
+            return this.getSid(this.toSchemaPath(instancePath).schemaPath) !== undefined;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Instance identifier (RFC 9254 §6.13.1): SID, or [SID, key1, key2, ...] for list entries
+     */
+    instanceIdentifier(instancePath) {
+        const { schemaPath, keys } = this.toSchemaPath(instancePath);
+        const sid = this.getSid(schemaPath);
+        if (sid === undefined) {
+            throw new Error(`No SID for ${schemaPath}`);
+        }
+        return keys.length ? [sid, ...keys] : sid;
+    }
+
+    /**
+     * Split an instance identifier into SID and keys
+     */
+    parseIdentifier(iid) {
+        const [sid, ...keys] = Array.isArray(iid) ? iid : [iid];
+        return { sid: Number(sid), keys, schemaPath: this.getPath(Number(sid)) };
+    }
+
+    /**
+     * Encode a JSON value (RFC 7951 member names) with delta SIDs
+     * Identityref values become the identity's SID (RFC 9254 §6.10) when the
+     * SID file types the leaf and lists the identity.
+     * @param {number} sid - SID of the node the value belongs to
+     */
+    encodeValue(sid, value) {
+        if (Array.isArray(value)) {
+            // List entries or leaf-list values
+            return value.map(v => isPlainObject(v) ? this.encodeChildren(sid, v) : this.encodeIdentity(sid, v));
+        }
+        return isPlainObject(value) ? this.encodeChildren(sid, value) : this.encodeIdentity(sid, value);
+    }
+
+    encodeIdentity(sid, value) {
+        const path = this.getPath(sid);
+        if (typeof value !== 'string' || this.typeOf(path) !== 'identityref') return value;
+        // An identity of the leaf's own module may be given without prefix (RFC 7951 §6.8)
+        const name = value.includes(':') ? value : `${moduleOf(path)}:${value}`;
+        return this.identities.get(name) ?? value;
+    }
+
+    encodeChildren(sid, object) {
+        const path = this.getPath(sid);
+        const out = new Map();
+        for (const [name, value] of Object.entries(object)) {
+            const childPath = joinSchemaPath(path, name);
+            const childSid = this.getSid(childPath);
+            if (childSid === undefined) {
+                throw new Error(`No SID for ${childPath}`);
+            }
+            out.set(childSid - sid, this.encodeValue(childSid, value));
+        }
+        return out;
+    }
+
+    /**
+     * Decode a delta-SID value back to JSON member names
+     * Unknown SIDs are kept as their number.
+     */
+    decodeValue(sid, value) {
+        if (Array.isArray(value)) {
+            return value.map(v => v instanceof Map ? this.decodeChildren(sid, v) : this.decodeIdentity(sid, v));
+        }
+        return value instanceof Map ? this.decodeChildren(sid, value) : this.decodeIdentity(sid, value);
+    }
+
+    decodeIdentity(sid, value) {
+        if (typeof value !== 'number' || this.typeOf(this.getPath(sid)) !== 'identityref') return value;
+        const item = this.sidToItem.get(value);
+        return item?.namespace === 'identity' ? item.identifier : value;
+    }
+
+    decodeChildren(sid, map) {
+        const out = {};
+        for (const [key, value] of map) {
+            if (typeof key !== 'number') {
+                out[key] = value;
+                continue;
+            }
+            const childSid = sid + key;
+            const childPath = this.getPath(childSid);
+            const name = childPath ? childPath.slice(childPath.lastIndexOf('/') + 1) : String(childSid);
+            out[name] = this.decodeValue(childSid, value);
+        }
+        return out;
+    }
+
+    /**
+     * Build one yang-instances entry: Map { iid => delta-encoded value }
+     */
+    encodeInstance(instancePath, value) {
+        const iid = this.instanceIdentifier(instancePath);
+        const sid = Array.isArray(iid) ? iid[0] : iid;
+        return new Map([[iid, value === null ? null : this.encodeValue(sid, value)]]);
+    }
+
+    /**
+     * Decode yang-instances entries into [{ iid, sid, keys, path, value }]
+     */
+    decodeInstances(items) {
+        const out = [];
+        for (const item of items) {
+            if (!(item instanceof Map)) continue;
+            for (const [iid, value] of item) {
+                const { sid, keys, schemaPath } = this.parseIdentifier(iid);
+                out.push({ iid, sid, keys, path: schemaPath, value: this.decodeValue(sid, value) });
+            }
+        }
+        return out;
+    }
+}
+
+/**
+ * Decode the errors of a failed CORECONF/RESTCONF request
+ * Accepts "ietf-restconf:errors" (RFC 8040 §7.1, name-keyed as the device and
+ * JSON servers send it), a single "ietf-coreconf:error" container, SID-keyed
+ * maps of either when the registry knows the module, or a bare text message.
+ * @param {*} payload - Decoded response payload
+ * @param {SIDRegistry} [sids] - Registry used to resolve SID-keyed error payloads
+ * @returns {Array<{type, tag, appTag, path, message, info}>} - Empty if the payload holds no errors
+ */
+export function decodeErrors(payload, sids = null) {
+    if (typeof payload === 'string') {
+        return payload ? [{ type: null, tag: null, appTag: null, path: null, message: payload, info: null }] : [];
+    }
+    if (payload instanceof Map) {
+        // Resolve SID keys; string keys are kept as they are
+        const named = {};
+        for (const [key, value] of payload) {
+            const path = typeof key === 'number' ? sids?.getPath(key) : key;
+            if (!path) continue;
+            named[path.slice(path.lastIndexOf('/') + 1)] = typeof key === 'number' ? sids.decodeValue(key, value) : value;
+        }
+        payload = named;
+    }
+    if (!isPlainObject(payload)) return [];
+
+    const member = (object, name) => Object.entries(object).find(([key]) => key === name || key.endsWith(`:${name}`))?.[1];
+    const errors = member(payload, 'errors');
+    const entries = errors !== undefined ? member(errors || {}, 'error') : member(payload, 'error');
+    return (Array.isArray(entries) ? entries : entries ? [entries] : [])
+        .filter(isPlainObject)
+        .map(entry => ({
+            type: member(entry, 'error-type') ?? null,
+            tag: member(entry, 'error-tag') ?? null,
+            appTag: member(entry, 'error-app-tag') ?? null,
+            path: member(entry, 'error-path') ?? member(entry, 'error-data-node') ?? null,
+            message: member(entry, 'error-message') ?? null,
+            info: member(entry, 'error-info') ?? null
+        }));
+}
+
+// Namespace-qualified identity name as used in RFC 7951 identityref values
+const IDENTITY = /^[a-z][a-z0-9-]*:[A-Za-z_][\w.-]*$/;
+
+/**
+ * Generate SID files for the modules found in a JSON datastore
+ * Used by the simulator, which has no vendor SID files; SIDs are assigned
+ * in blocks of 1000 per module starting at `base`. String values of the form
+ * "module:identity" are taken as identityrefs and get identity SIDs.
+ * @param {Object} datastore - { 'module:top': value, ... }
+ * @returns {Array<Object>} - RFC 9595 SID files
+ */
+export function generateSidFiles(datastore, base = 60000) {
+    const modules = new Map();
+    const moduleFor = (name) => {
+        if (!modules.has(name)) {
+            const entryPoint = base + modules.size * 1000;
+            modules.set(name, { entryPoint, next: entryPoint + 1, items: [{ namespace: 'module', identifier: name, sid: entryPoint }] });
+        }
+        return modules.get(name);
+    };
+    const seen = new Map();        // identifier -> SID item
+
+    const item = (namespace, identifier, module) => {
+        if (!seen.has(identifier)) {
+            const entry = moduleFor(module);
+            seen.set(identifier, { namespace, identifier, sid: entry.next++ });
+            entry.items.push(seen.get(identifier));
+        }
+        return seen.get(identifier);
+    };
+
+    const walk = (path, value) => {
+        const node = item('data', path, moduleOf(path));
+        const identities = (Array.isArray(value) ? value : [value]).filter(v => typeof v === 'string' && IDENTITY.test(v));
+        for (const identity of identities) {
+            node.type = 'identityref';
+            item('identity', identity, identity.split(':')[0]);
+        }
+        const entries = Array.isArray(value) ? value.filter(isPlainObject) : isPlainObject(value) ? [value] : [];
+        for (const entry of entries) {
+            for (const [name, child] of Object.entries(entry)) {
+                walk(joinSchemaPath(path, name), child);
+            }
+        }
+    };
+    for (const [name, value] of Object.entries(datastore)) {
+        walk(`/${name}`, value);
+    }
+
+    return [...modules].map(([name, module]) => ({
+        'ietf-sid-file:sid-file': {
+            'module-name': name,
+            'sid-file-version': 0,
+            'assignment-range': [{ 'entry-point': module.entryPoint, size: 1000 }],
+            item: module.items
+        }
+    }));
+}
+
+export default SIDRegistry;
@@ -0,0 +1,1088 @@
+/**
+ * Software VelocityDRIVE (LAN966x) Device Simulator
+ * Speaks MUP1 over any transport endpoint and serves CoAP requests from an
+ * in-memory YANG datastore, so pages and tests can run without a board.
+ */
+
+import MUP1Protocol from './velocitydrive-protocol.js';
+import { encode as cborEncode, decode as cborDecode, encodeSequence, decodeSequence } from './cbor.js';
+import SIDRegistry, { generateSidFiles } from './coreconf.js';
+import { LIST_KEYS } from './yang-diff.js';
+
+// CoAP codes (class << 5 | detail)
+const CODE = {
+    GET: 1, POST: 2, PUT: 3, DELETE: 4, FETCH: 5, PATCH: 6, IPATCH: 7,
+    CREATED: 65, DELETED: 66, CHANGED: 68, CONTENT: 69, CONTINUE: 95,
+    BAD_REQUEST: 128, NOT_FOUND: 132, METHOD_NOT_ALLOWED: 133, NOT_ACCEPTABLE: 134, CONFLICT: 137,
+    REQUEST_ENTITY_INCOMPLETE: 136, REQUEST_ENTITY_TOO_LARGE: 141, UNSUPPORTED_CONTENT_FORMAT: 143,
+    INTERNAL_ERROR: 160
+};
+
+const METHOD_NAMES = { 1: 'GET', 2: 'POST', 3: 'PUT', 4: 'DELETE', 5: 'FETCH', 6: 'PATCH', 7: 'iPATCH' };
+
+const OPTION_ETAG = 4;
+const OPTION_OBSERVE = 6;
+const OPTION_URI_PATH = 11;
+const OPTION_CONTENT_FORMAT = 12;
+const OPTION_URI_QUERY = 15;
+const OPTION_ACCEPT = 17;
+const OPTION_BLOCK2 = 23;
+const OPTION_BLOCK1 = 27;
+const OPTION_SIZE2 = 28;
+const CONTENT_FORMAT_JSON = 50;
+const CONTENT_FORMAT_CBOR = 60;
+const CONTENT_FORMAT_CBOR_SEQ = 63;
+const CONTENT_FORMAT_YANG_IDENTIFIERS = 141;
+const CONTENT_FORMAT_YANG_INSTANCES = 142;
+
+// Datastores (RFC 8342) besides the default view of everything: running,
+// intended and startup hold configuration only, operational adds these state nodes
+const DATASTORES = ['running', 'intended', 'operational', 'startup'];
+const STATE_NODES = new Set([
+    'oper-status', 'phys-address', 'statistics', 'port-state',
+    'ietf-system:system-state', 'ietf-yang-library:yang-library'
+]);
+// RFC 8527 datastore resource prefix of plain paths
+const DATASTORE_PREFIX = 'ds/ietf-datastores:';
+
+export class VelocityDriveSimulator {
+    /**
+     * @param {Transport} transport - Device side of the link (e.g. one end of a LoopbackTransport pair)
+     * @param {Object} options - { deviceType, firmwareVersion, serialNumber, portCount, latency, trace, datastore, lossRate, blockSize }
+     *   portNames: interface names of the ports (default eth0..eth{portCount-1})
+     *   lossRate: fraction of CoAP messages dropped in each direction, to exercise retransmission
+     *   blockSize: largest request/response body sent in one message; larger ones use Block1/Block2
+     *   observe: accept Observe registrations (false emulates firmware without RFC 7641)
+     *   notifyInterval: how often observed resources are checked for changes (ms)
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.protocol = new MUP1Protocol();
+        this.options = {
+            deviceType: 'LAN9662',
+            firmwareVersion: '2025.06',
+            serialNumber: 'sim0001',
+            portCount: 2,
+            latency: 5,
+            trace: true,
+            lossRate: 0,
+            blockSize: 512,
+            observe: true,
+            notifyInterval: 1000,
+            ...options
+        };
+        this.startTime = Date.now();
+        this.lastTick = Date.now();
+        this.startup = options.datastore ? clone(options.datastore) : createDefaultDatastore(this.options);
+        this.datastore = clone(this.startup);
+        // SIDs are generated from the seed datastore, so they stay the same across restarts
+        this.sids = new SIDRegistry();
+        generateSidFiles(this.startup).forEach(file => this.sids.load(file));
+        this.requestLog = [];
+        this.responseCache = new Map();   // Message ID -> response, answers retransmitted CONs
+        this.uploads = new Map();         // Block1 bodies being received
+        this.downloads = new Map();       // Block2 bodies being sent
+        this.observers = new Map();       // token -> Observe registration
+        this.messageId = Math.floor(Math.random() * 0x10000);
+        this.notifyTimer = null;
+
+        this.transport.onData((frame) => this.handleFrame(frame));
+    }
+
+    /**
+     * Open the device side of the link
+     */
+    async start() {
+        await this.transport.connect();
+        if (this.options.observe) {
+            this.notifyTimer = setInterval(() => this.notifyObservers(), this.options.notifyInterval);
+        }
+    }
+
+    /**
+     * Close the device side of the link
+     */
+    async stop() {
+        clearInterval(this.notifyTimer);
+        this.notifyTimer = null;
+        this.observers.clear();
+        await this.transport.disconnect();
+    }
+
+    /**
+     * SID files (RFC 9595) describing the simulated datastore
+     */
+    getSidFiles() {
+        return clone(this.sids.files);
+    }
+
+    /**
+     * Announcement text as sent by VelocitySP firmware
+     */
+    getAnnouncement() {
+        const { firmwareVersion, deviceType, serialNumber } = this.options;
+        return `VelocitySP-v${firmwareVersion}-${deviceType}-${serialNumber} 326 300 2`;
+    }
+
+    /**
+     * Handle a complete MUP1 frame from the host
+     */
+    handleFrame(frame) {
+        let decoded;
+        try {
+            decoded = this.protocol.decodeFrame(frame);
+        } catch (error) {
+            console.warn('Simulator dropped frame:', error.message);
+            return;
+        }
+
+        switch (decoded.type) {
+            case 'P':
+                this.reply(this.protocol.COMMANDS.PING);
+                break;
+            case 'A':
+                this.reply(this.protocol.COMMANDS.ANNOUNCEMENT, this.getAnnouncement());
+                break;
+            case 'S':
+                this.handleSystemRequest(new TextDecoder().decode(decoded.data).trim());
+                break;
+            case 'C':
+                this.handleCoap(decoded.data);
+                break;
+        }
+    }
+
+    /**
+     * Handle 'S' system requests
+     */
+    handleSystemRequest(command) {
+        const S = this.protocol.COMMANDS.SYSTEM;
+
+        switch (command) {
+            case 'info':
+                this.reply(this.protocol.COMMANDS.ANNOUNCEMENT, this.getAnnouncement());
+                break;
+            case 'save-config':
+                this.startup = clone(this.datastore);
+                this.trace('I', 'cfg', 'running configuration saved to startup');
+                this.reply(S, 'save-config: success');
+                break;
+            case 'factory-reset':
+                this.startup = createDefaultDatastore(this.options);
+                this.reply(S, 'factory-reset: success');
+                this.restart();
+                break;
+            case 'reboot':
+                this.trace('N', 'sys', 'rebooting');
+                this.restart();
+                break;
+            default:
+                this.reply(S, `${command}: error unknown command`);
+        }
+    }
+
+    /**
+     * Reload startup configuration and announce again, like a board reset
+     */
+    restart() {
+        this.datastore = clone(this.startup);
+        this.startTime = Date.now();
+        this.observers.clear();
+        setTimeout(() => this.reply(this.protocol.COMMANDS.ANNOUNCEMENT, this.getAnnouncement()), 200);
+    }
+
+    /**
+     * Emit a firmware trace line ('T' frame), e.g. "I [coap] message"
+     */
+    trace(level, module, text) {
+        if (!this.options.trace) return;
+        this.reply(this.protocol.COMMANDS.TRACE, `${level} [${module}] ${text}\n`);
+    }
+
+    /**
+     * Send a MUP1 frame to the host
+     */
+    reply(type, data = new Uint8Array()) {
+        const payload = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const frame = this.protocol.encodeFrame(type, payload);
+
+        setTimeout(() => {
+            if (!this.transport.isConnected) return;
+            this.transport.sendBytes(frame).catch(error => console.warn('Simulator send failed:', error.message));
+        }, this.options.latency);
+    }
+
+    /**
+     * Handle a CoAP request and answer with a piggybacked response
+     */
+    handleCoap(data) {
+        let request;
+        try {
+            request = parseCoapMessage(data);
+        } catch (error) {
+            console.warn('Simulator received malformed CoAP message:', error.message);
+            return;
+        }
+
+        // RST to a notification ends that observation
+        if (request.type === 3) {
+            for (const [key, observer] of this.observers) {
+                if (observer.messageId === request.messageId) this.observers.delete(key);
+            }
+            return;
+        }
+
+        // Only requests are served; ACKs from the host need no answer
+        if (request.code === 0 || request.code >= 32) return;
+        if (Math.random() < this.options.lossRate) return;
+
+        // Retransmitted request: repeat the response without executing it again
+        const cached = this.responseCache.get(request.messageId);
+        if (cached) {
+            this.sendCoap(cached);
+            return;
+        }
+
+        let result;
+        try {
+            result = this.serveBlockwise(request);
+        } catch (error) {
+            result = { code: CODE.INTERNAL_ERROR, body: cborEncode(errorResult(CODE.INTERNAL_ERROR, 'operation-failed', error.message).payload), options: [] };
+        }
+
+        if (request.code === CODE.GET && request.observe !== null && !request.block2?.num) {
+            this.updateObserver(request, result);
+        }
+
+        this.requestLog.push({ method: request.code, path: request.path, code: result.code });
+        if (this.requestLog.length > 100) this.requestLog.shift();
+        const klass = result.code >> 5;
+        this.trace(klass === 2 ? 'D' : klass === 4 ? 'W' : 'E', 'coap',
+            `${METHOD_NAMES[request.code] || request.code} /${request.path} -> ${klass}.${String(result.code & 0x1F).padStart(2, '0')}`);
+
+        const response = buildCoapMessage({
+            type: request.type === 0 ? 2 : 1, // ACK for CON, NON otherwise
+            code: result.code,
+            messageId: request.messageId,
+            token: request.token,
+            body: result.body,
+            contentFormat: result.contentFormat,
+            options: result.options
+        });
+        this.responseCache.set(request.messageId, response);
+        if (this.responseCache.size > 64) {
+            this.responseCache.delete(this.responseCache.keys().next().value);
+        }
+        this.sendCoap(response);
+    }
+
+    /**
+     * Register (Observe=0) or deregister (Observe=1) a GET; a registration
+     * answer carries the Observe option
+     */
+    updateObserver(request, result) {
+        const key = Array.from(request.token).join(',');
+        if (request.observe !== 0 || !this.options.observe || result.code !== CODE.CONTENT) {
+            this.observers.delete(key);
+            return;
+        }
+
+        const observer = this.observers.get(key) || { token: request.token, path: request.path, sequence: 1 };
+        observer.sequence = (observer.sequence + 1) & 0xFFFFFF;
+        observer.etag = representationTag(result);
+        this.observers.set(key, observer);
+        result.options.push({ number: OPTION_OBSERVE, value: uintBytes(observer.sequence) });
+    }
+
+    /**
+     * Send a notification to every observer whose resource changed
+     */
+    notifyObservers() {
+        for (const [key, observer] of this.observers) {
+            let result;
+            try {
+                result = this.serveBlockwise({ code: CODE.GET, path: observer.path, payload: null, accept: null, block1: null, block2: null });
+            } catch (error) {
+                result = { code: CODE.INTERNAL_ERROR, options: [] };
+            }
+
+            const etag = representationTag(result);
+            if (result.code === CODE.CONTENT && etag === observer.etag) continue;
+
+            // Errors end the observation; every fifth notification is confirmable
+            observer.sequence = (observer.sequence + 1) & 0xFFFFFF;
+            observer.etag = etag;
+            observer.count = (observer.count || 0) + 1;
+            observer.messageId = this.messageId;
+            this.messageId = (this.messageId + 1) & 0xFFFF;
+            if (result.code === CODE.CONTENT) {
+                result.options.push({ number: OPTION_OBSERVE, value: uintBytes(observer.sequence) });
+            } else {
+                this.observers.delete(key);
+            }
+
+            this.sendCoap(buildCoapMessage({
+                type: observer.count % 5 === 0 ? 0 : 1,
+                code: result.code,
+                messageId: observer.messageId,
+                token: observer.token,
+                body: result.body,
+                contentFormat: result.contentFormat,
+                options: result.options
+            }));
+        }
+    }
+
+    sendCoap(message) {
+        if (Math.random() < this.options.lossRate) return;
+        this.reply(this.protocol.COMMANDS.COAP, message);
+    }
+
+    /**
+     * Serve a request with block-wise transfer (RFC 7959) in both directions
+     * @returns {{code: number, body?: Uint8Array, contentFormat?: number, options: Array<{number: number, value: Uint8Array}>}}
+     */
+    serveBlockwise(request) {
+        const limit = this.options.blockSize;
+        const key = `${request.code} ${request.path}`;
+        const options = [];
+
+        if (request.block1) {
+            // Collect the request body; a smaller SZX in the reply asks for smaller blocks
+            const { num, more, size } = request.block1;
+            const szx = Math.min(request.block1.szx, blockSzx(limit));
+            const received = num === 0 ? new Uint8Array(0) : this.uploads.get(key);
+            const payload = request.payload || new Uint8Array(0);
+            if (!received || received.length !== num * size || (more && payload.length !== size)) {
+                this.uploads.delete(key);
+                return { code: CODE.REQUEST_ENTITY_INCOMPLETE, options };
+            }
+
+            const body = concatBytes(received, payload);
+            if (more) {
+                this.uploads.set(key, body);
+                return { code: CODE.CONTINUE, options: [blockOption(OPTION_BLOCK1, num, true, szx)] };
+            }
+            this.uploads.delete(key);
+            request = { ...request, payload: body };
+            options.push(blockOption(OPTION_BLOCK1, num, false, szx));
+        } else if (request.payload && request.payload.length > limit) {
+            return { code: CODE.REQUEST_ENTITY_TOO_LARGE, options: [blockOption(OPTION_BLOCK1, 0, false, blockSzx(limit))] };
+        }
+
+        // Later Block2 requests are served from the representation of block 0
+        const downloadKey = `${key} ${request.payload ? Array.from(request.payload).join(',') : ''}`;
+        let download = request.block2?.num > 0 ? this.downloads.get(downloadKey) : null;
+        if (!download) {
+            const result = this.serve(request);
+            const body = result.body !== undefined ? result.body
+                : result.payload === undefined || result.payload === null ? null : cborEncode(result.payload);
+            download = { code: result.code, body, contentFormat: result.contentFormat, etag: body ? fnv1a(body) : null };
+        }
+
+        const { code, body, contentFormat } = download;
+        if (!body || (body.length <= limit && !request.block2)) {
+            this.downloads.delete(downloadKey);
+            return { code, body, contentFormat, options };
+        }
+
+        const szx = Math.min(request.block2?.szx ?? 6, blockSzx(limit));
+        const size = 1 << (szx + 4);
+        const num = request.block2?.num ?? 0;
+        const start = num * size;
+        if (start >= body.length && body.length > 0) {
+            return { code: CODE.BAD_REQUEST, body: cborEncode(errorResult(CODE.BAD_REQUEST, 'invalid-value', 'Block2 number out of range').payload), options };
+        }
+        const more = start + size < body.length;
+        if (more) {
+            this.downloads.set(downloadKey, download);
+        } else {
+            this.downloads.delete(downloadKey);
+        }
+
+        options.push({ number: OPTION_ETAG, value: download.etag });
+        options.push(blockOption(OPTION_BLOCK2, num, more, szx));
+        if (num === 0) options.push({ number: OPTION_SIZE2, value: uintBytes(body.length) });
+        return { code, body: body.slice(start, start + size), contentFormat, options };
+    }
+
+    /**
+     * Execute a request against the datastore
+     * @returns {{code: number, payload?: *, body?: Uint8Array, contentFormat?: number}}
+     */
+    serve(request) {
+        this.tick();
+
+        // CORECONF datastore resource: SID-addressed FETCH and iPATCH
+        if (request.path === 'c') {
+            return this.serveCoreconf(request);
+        }
+
+        if (request.accept != null && request.accept !== CONTENT_FORMAT_CBOR) {
+            return errorResult(CODE.NOT_ACCEPTABLE, 'invalid-value', `Content-Format ${request.accept} is not available`);
+        }
+        let body;
+        if (request.payload) {
+            if (![null, CONTENT_FORMAT_CBOR, CONTENT_FORMAT_JSON].includes(request.contentFormat)) {
+                return errorResult(CODE.UNSUPPORTED_CONTENT_FORMAT, 'invalid-value', `Content-Format ${request.contentFormat} is not supported`);
+            }
+            try {
+                body = request.contentFormat === CONTENT_FORMAT_JSON
+                    ? JSON.parse(new TextDecoder().decode(request.payload))
+                    : cborDecode(request.payload);
+            } catch {
+                return errorResult(CODE.BAD_REQUEST, 'malformed-message', 'payload is not valid CBOR or JSON');
+            }
+        }
+
+        const { datastore, path } = splitDatastore(request.path);
+        const store = this.selectDatastore(datastore, ![CODE.GET, CODE.FETCH].includes(request.code));
+        if (store.error) return store.error;
+        const root = store.root;
+
+        let segments;
+        try {
+            segments = parsePath(path);
+        } catch (error) {
+            return errorResult(CODE.BAD_REQUEST, 'invalid-value', error.message, path);
+        }
+        if (segments.length === 0) {
+            return request.code === CODE.GET
+                ? { code: CODE.CONTENT, payload: root }
+                : errorResult(CODE.METHOD_NOT_ALLOWED, 'operation-not-supported', `${METHOD_NAMES[request.code]} is not allowed on the datastore root`);
+        }
+
+        switch (request.code) {
+            case CODE.GET: {
+                const node = resolve(root, segments);
+                return node ? { code: CODE.CONTENT, payload: node.value } : notFound(path);
+            }
+            case CODE.FETCH: {
+                const node = resolve(root, segments);
+                if (!node) return notFound(path);
+                if (!Array.isArray(body)) return { code: CODE.CONTENT, payload: node.value };
+                const result = {};
+                for (const sub of body) {
+                    const child = resolve(node.value, parsePath(String(sub)));
+                    if (child) result[sub] = child.value;
+                }
+                return { code: CODE.CONTENT, payload: result };
+            }
+            case CODE.PUT: {
+                const existing = resolve(root, segments);
+                assign(root, segments, root === this.datastore ? keepState(existing?.value, body, segments) : body);
+                return { code: existing ? CODE.CHANGED : CODE.CREATED };
+            }
+            case CODE.POST: {
+                if (!body || typeof body !== 'object') {
+                    return errorResult(CODE.BAD_REQUEST, 'invalid-value', 'POST needs an object payload', path);
+                }
+                const target = resolve(root, segments) || assign(root, segments, {});
+                return merge(target.value, body) ? { code: CODE.CREATED }
+                    : errorResult(CODE.CONFLICT, 'data-exists', 'Entry already exists', path);
+            }
+            case CODE.DELETE:
+                return remove(root, segments) ? { code: CODE.DELETED } : notFound(path);
+        }
+
+        return errorResult(CODE.METHOD_NOT_ALLOWED, 'operation-not-supported', `${METHOD_NAMES[request.code] || request.code} is not supported`);
+    }
+
+    /**
+     * Serve FETCH (sequence of instance identifiers) and iPATCH/PATCH (sequence
+     * of { iid: value } maps, null deletes) on the CORECONF resource
+     * Unknown SIDs in a FETCH are skipped, so the catalog request made during
+     * initialization gets an empty answer.
+     */
+    serveCoreconf(request) {
+        // Plain CBOR (sequence) is accepted in place of the yang-*+cbor-seq types
+        const formats = request.code === CODE.FETCH
+            ? [CONTENT_FORMAT_YANG_IDENTIFIERS, CONTENT_FORMAT_CBOR_SEQ, CONTENT_FORMAT_CBOR]
+            : [CONTENT_FORMAT_YANG_INSTANCES, CONTENT_FORMAT_CBOR_SEQ, CONTENT_FORMAT_CBOR];
+        if (request.payload && request.contentFormat !== null && !formats.includes(request.contentFormat)) {
+            return errorResult(CODE.UNSUPPORTED_CONTENT_FORMAT, 'invalid-value', `Content-Format ${request.contentFormat} is not supported on /c`);
+        }
+        if (request.accept != null && request.accept !== CONTENT_FORMAT_YANG_INSTANCES) {
+            return errorResult(CODE.NOT_ACCEPTABLE, 'invalid-value', `/c answers with Content-Format ${CONTENT_FORMAT_YANG_INSTANCES} only`);
+        }
+
+        const query = request.query.find(q => q.startsWith('ds='));
+        const store = this.selectDatastore(query ? query.slice(3) : null, request.code !== CODE.FETCH);
+        if (store.error) return store.error;
+
+        let items;
+        try {
+            items = request.payload ? decodeSequence(request.payload) : [];
+        } catch {
+            return errorResult(CODE.BAD_REQUEST, 'malformed-message', 'payload is not a valid CBOR sequence');
+        }
+
+        switch (request.code) {
+            case CODE.FETCH: {
+                const instances = [];
+                let known = 0;
+                for (const iid of items) {
+                    const { sid, keys, schemaPath } = this.sids.parseIdentifier(iid);
+                    if (!schemaPath) continue;
+                    known++;
+                    const node = resolve(store.root, sidSegments(schemaPath, keys));
+                    if (node) instances.push(new Map([[iid, this.sids.encodeValue(sid, node.value)]]));
+                }
+                if (known > 0 && instances.length === 0) {
+                    return errorResult(CODE.NOT_FOUND, 'data-missing', 'No instance of the requested nodes exists');
+                }
+                return {
+                    code: CODE.CONTENT,
+                    body: instances.length ? encodeSequence(instances) : null,
+                    contentFormat: CONTENT_FORMAT_YANG_INSTANCES
+                };
+            }
+            case CODE.PATCH:
+            case CODE.IPATCH: {
+                const edits = [];
+                for (const item of items) {
+                    if (!(item instanceof Map)) return errorResult(CODE.BAD_REQUEST, 'malformed-message', 'iPATCH items must be maps');
+                    for (const [iid, value] of item) {
+                        const { sid, keys, schemaPath } = this.sids.parseIdentifier(iid);
+                        if (!schemaPath) return errorResult(CODE.BAD_REQUEST, 'unknown-element', `Unknown SID ${sid}`);
+                        edits.push({ segments: sidSegments(schemaPath, keys), value: this.sids.decodeValue(sid, value) });
+                    }
+                }
+                for (const { segments, value } of edits) {
+                    if (value === null) remove(store.root, segments);
+                    else if (store.root !== this.datastore) assign(store.root, segments, value);
+                    else assign(store.root, segments, keepState(resolve(store.root, segments)?.value, value, segments));
+                }
+                return { code: CODE.CHANGED };
+            }
+        }
+
+        return errorResult(CODE.METHOD_NOT_ALLOWED, 'operation-not-supported', `${METHOD_NAMES[request.code] || request.code} is not supported on /c`);
+    }
+
+    /**
+     * Data tree of a datastore
+     * Without a datastore this is the live tree of configuration and state.
+     * @returns {{root?: Object, error?: Object}} - error is the response to send instead
+     */
+    selectDatastore(datastore, write) {
+        if (datastore === null) return { root: this.datastore };
+        if (!DATASTORES.includes(datastore)) {
+            return { error: errorResult(CODE.NOT_FOUND, 'invalid-value', `Unknown datastore ${datastore}`) };
+        }
+        if (write) {
+            if (datastore === 'running') return { root: this.datastore };
+            if (datastore === 'startup') return { root: this.startup };
+            return { error: errorResult(CODE.METHOD_NOT_ALLOWED, 'operation-not-supported', `The ${datastore} datastore is read-only`) };
+        }
+        if (datastore === 'operational') return { root: this.datastore };
+        return { root: configOnly(datastore === 'startup' ? this.startup : this.datastore) };
+    }
+
+    /**
+     * Advance uptime and traffic counters
+     */
+    tick() {
+        const now = Date.now();
+        const elapsed = (now - this.lastTick) / 1000;
+        this.lastTick = now;
+
+        const state = this.datastore['ietf-system:system-state'];
+        if (state) state.uptime = Math.floor((now - this.startTime) / 1000);
+
+        for (const intf of this.datastore['ietf-interfaces:interfaces']?.interface || []) {
+            if (intf['oper-status'] !== 'up' || !intf.statistics) continue;
+            const stats = intf.statistics;
+            const rxPkts = Math.floor(elapsed * (800 + Math.random() * 400));
+            const txPkts = Math.floor(elapsed * (600 + Math.random() * 400));
+            stats['in-unicast-pkts'] += rxPkts;
+            stats['out-unicast-pkts'] += txPkts;
+            stats['in-octets'] += rxPkts * 512;
+            stats['out-octets'] += txPkts * 512;
+        }
+    }
+}
+
+/**
+ * Seed datastore: interfaces, VLANs, PTP, schedules
+ */
+export function createDefaultDatastore({ portCount = 2, portNames = null } = {}) {
+    const names = portNames ?? Array.from({ length: portCount }, (_, i) => `eth${i}`);
+
+    return {
+        'ietf-interfaces:interfaces': {
+            interface: names.map((name, i) => ({
+                name,
+                type: 'iana-if-type:ethernetCsmacd',
+                enabled: true,
+                'oper-status': i === 0 ? 'up' : 'down',
+                speed: '1000',
+                duplex: 'full',
+                'phys-address': `00:04:a3:00:00:${(i + 1).toString(16).padStart(2, '0')}`,
+                statistics: {
+                    'in-octets': 0,
+                    'in-unicast-pkts': 0,
+                    'in-errors': 0,
+                    'in-discards': 0,
+                    'out-octets': 0,
+                    'out-unicast-pkts': 0,
+                    'out-errors': 0,
+                    'out-discards': 0
+                }
+            }))
+        },
+        'ieee802-dot1q-bridge:bridges': {
+            bridge: [{
+                name: 'br0',
+                address: '00:04:a3:00:00:00',
+                vlans: {
+                    vlan: [{ vid: 1, name: 'default', 'member-ports': [...names] }]
+                }
+            }]
+        },
+        'ieee1588-ptp:ptp': {
+            'instance-list': [{
+                'instance-number': 0,
+                'default-ds': {
+                    'clock-quality': {
+                        'clock-class': 248,
+                        'clock-accuracy': 254,
+                        'offset-scaled-log-variance': 65535
+                    },
+                    priority1: 128,
+                    priority2: 128,
+                    'domain-number': 0
+                },
+                'port-ds-list': names.map((_, i) => ({
+                    'port-number': i + 1,
+                    'port-state': 'listening',
+                    'log-min-delay-req-interval': 0,
+                    'log-announce-interval': 1,
+                    'log-sync-interval': 0
+                }))
+            }]
+        },
+        'ieee802-dot1q-sched:interfaces': {
+            interface: names.map(name => ({
+                name,
+                schedule: {
+                    'gate-enabled': false,
+                    'admin-gate-states': 255,
+                    'admin-control-list': [
+                        { index: 0, 'operation-name': 'set-gate-states', 'gate-states-value': 255, 'time-interval-value': 1000000 }
+                    ],
+                    'admin-cycle-time': 1000000,
+                    'admin-base-time': { seconds: 0, nanoseconds: 0 }
+                },
+                scheduler: {
+                    'traffic-class': Array.from({ length: 8 }, (_, tc) => ({
+                        index: tc,
+                        'credit-based-shaper': { 'idle-slope': 0, 'send-slope': 0, 'admin-idleslope-enabled': false }
+                    }))
+                }
+            }))
+        },
+        'ieee802-dot1q-preemption:interfaces': {
+            interface: names.map(name => ({
+                name,
+                'frame-preemption': {
+                    'frame-preemption-status-table': {
+                        'frame-preemption-status': 'express',
+                        'hold-advance': 0,
+                        'release-advance': 0,
+                        'preemption-active': false
+                    }
+                }
+            }))
+        },
+        'ietf-system:system-state': {
+            uptime: 0,
+            temperature: 42,
+            platform: { 'os-name': 'VelocitySP', 'machine': 'LAN966x' }
+        },
+        'ietf-yang-library:yang-library': {
+            'module-set': [{
+                name: 'complete',
+                module: [
+                    { name: 'ietf-interfaces', revision: '2018-02-20' },
+                    { name: 'ieee802-dot1q-bridge', revision: '2022-10-29' },
+                    { name: 'ieee802-dot1q-sched', revision: '2021-04-09' },
+                    { name: 'ieee802-dot1q-preemption', revision: '2021-04-09' },
+                    { name: 'ieee1588-ptp', revision: '2023-08-14' },
+                    { name: 'ietf-system', revision: '2014-08-06' }
+                ]
+            }]
+        }
+    };
+}
+
+/**
+ * Parse a CoAP message (header, token, options, payload)
+ */
+function parseCoapMessage(data) {
+    if (data.length < 4) {
+        throw new Error('Message too short');
+    }
+
+    const tkl = data[0] & 0x0F;
+    const message = {
+        type: (data[0] >> 4) & 0x03,
+        code: data[1],
+        messageId: (data[2] << 8) | data[3],
+        token: data.slice(4, 4 + tkl),
+        path: '',
+        query: [],
+        block1: null,
+        block2: null,
+        observe: null,
+        contentFormat: null,
+        accept: null,
+        payload: null
+    };
+
+    const pathSegments = [];
+    let offset = 4 + tkl;
+    let number = 0;
+    while (offset < data.length) {
+        if (data[offset] === 0xFF) {
+            message.payload = data.slice(offset + 1);
+            break;
+        }
+
+        let delta = data[offset] >> 4;
+        let length = data[offset] & 0x0F;
+        offset++;
+        if (delta === 15 || length === 15) {
+            throw new Error('Invalid option header');
+        }
+        if (delta === 13) delta = data[offset++] + 13;
+        else if (delta === 14) { delta = ((data[offset] << 8) | data[offset + 1]) + 269; offset += 2; }
+        if (length === 13) length = data[offset++] + 13;
+        else if (length === 14) { length = ((data[offset] << 8) | data[offset + 1]) + 269; offset += 2; }
+
+        number += delta;
+        const value = data.slice(offset, offset + length);
+        offset += length;
+
+        if (number === OPTION_URI_PATH) pathSegments.push(new TextDecoder().decode(value));
+        else if (number === OPTION_URI_QUERY) message.query.push(new TextDecoder().decode(value));
+        else if (number === OPTION_OBSERVE) message.observe = value.reduce((acc, b) => acc * 256 + b, 0);
+        else if (number === OPTION_CONTENT_FORMAT) message.contentFormat = value.reduce((acc, b) => acc * 256 + b, 0);
+        else if (number === OPTION_ACCEPT) message.accept = value.reduce((acc, b) => acc * 256 + b, 0);
+        else if (number === OPTION_BLOCK1) message.block1 = decodeBlock(value);
+        else if (number === OPTION_BLOCK2) message.block2 = decodeBlock(value);
+    }
+
+    message.path = pathSegments.join('/');
+    return message;
+}
+
+/**
+ * Build a CoAP response message
+ * @param {Object} message - { type, code, messageId, token, body: encoded CBOR, contentFormat, options: extra options }
+ */
+function buildCoapMessage({ type, code, messageId, token, body = null, contentFormat = CONTENT_FORMAT_CBOR, options = [] }) {
+    const bytes = [(1 << 6) | (type << 4) | token.length, code, (messageId >> 8) & 0xFF, messageId & 0xFF, ...token];
+
+    const all = [...options];
+    if (body) all.push({ number: OPTION_CONTENT_FORMAT, value: uintBytes(contentFormat) });
+    all.sort((a, b) => a.number - b.number);
+
+    let previous = 0;
+    for (const { number, value } of all) {
+        const delta = number - previous;
+        const nibble = (v) => (v < 13 ? v : v < 269 ? 13 : 14);
+        const extended = (v) => (v < 13 ? [] : v < 269 ? [v - 13] : [(v - 269) >> 8, (v - 269) & 0xFF]);
+        bytes.push((nibble(delta) << 4) | nibble(value.length), ...extended(delta), ...extended(value.length), ...value);
+        previous = number;
+    }
+
+    if (body && body.length > 0) {
+        bytes.push(0xFF, ...body);
+    }
+
+    return new Uint8Array(bytes);
+}
+
+function uintBytes(value) {
+    const bytes = [];
+    for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xFF);
+    return new Uint8Array(bytes);
+}
+
+function decodeBlock(value) {
+    const v = value.reduce((acc, b) => acc * 256 + b, 0);
+    const szx = v & 0x07;
+    return { num: Math.floor(v / 16), more: (v & 0x08) !== 0, szx, size: 1 << (szx + 4) };
+}
+
+function blockOption(number, num, more, szx) {
+    return { number, value: uintBytes(num * 16 + (more ? 8 : 0) + szx) };
+}
+
+// Largest SZX whose block size fits into `size` bytes
+function blockSzx(size) {
+    return Math.max(0, Math.min(6, Math.floor(Math.log2(size)) - 4));
+}
+
+/**
+ * Error response carrying an ietf-restconf:errors payload (RFC 8040 §7.1)
+ */
+function errorResult(code, tag, message, path = null) {
+    const error = { 'error-type': code === CODE.BAD_REQUEST ? 'protocol' : 'application', 'error-tag': tag };
+    if (path) error['error-path'] = `/${path}`;
+    error['error-message'] = message;
+    return { code, payload: { 'ietf-restconf:errors': { error: [error] } } };
+}
+
+function notFound(path) {
+    return errorResult(CODE.NOT_FOUND, 'data-missing', 'Data node does not exist', path);
+}
+
+function concatBytes(a, b) {
+    const out = new Uint8Array(a.length + b.length);
+    out.set(a, 0);
+    out.set(b, a.length);
+    return out;
+}
+
+// Identifies a served representation: its ETag (block-wise) or a hash of the body
+function representationTag(result) {
+    const etag = result.options.find(o => o.number === OPTION_ETAG)?.value || (result.body ? fnv1a(result.body) : []);
+    return Array.from(etag).join(',');
+}
+
+// 32-bit FNV-1a, used as ETag so clients can detect a changed representation
+function fnv1a(bytes) {
+    let hash = 0x811c9dc5;
+    for (const b of bytes) {
+        hash = Math.imul(hash ^ b, 0x01000193) >>> 0;
+    }
+    return new Uint8Array([hash >>> 24, (hash >>> 16) & 0xFF, (hash >>> 8) & 0xFF, hash & 0xFF]);
+}
+
+/**
+ * Configuration written over a node of the live tree, with the state nodes it
+ * replaces carried over; list entries are matched by their key
+ */
+function keepState(previous, value, segments) {
+    const name = segments[segments.length - 1]?.name.split(':').pop();
+    if (Array.isArray(previous) && Array.isArray(value)) {
+        const key = LIST_KEYS[name];
+        return value.map(entry => keepState(key ? previous.find(p => String(p?.[key]) === String(entry?.[key])) : undefined, entry, []));
+    }
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isObject(previous) || !isObject(value)) return value;
+    const out = { ...value };
+    for (const [member, child] of Object.entries(previous)) {
+        if (member in out) out[member] = keepState(child, out[member], [{ name: member }]);
+        else if (STATE_NODES.has(member)) out[member] = child;
+    }
+    return out;
+}
+
+/**
+ * Split "ds/ietf-datastores:<name>/<path>" into datastore and path
+ */
+function splitDatastore(path) {
+    if (!path.startsWith(DATASTORE_PREFIX)) return { datastore: null, path };
+    const rest = path.slice(DATASTORE_PREFIX.length);
+    const slash = rest.indexOf('/');
+    return slash < 0 ? { datastore: rest, path: '' } : { datastore: rest.slice(0, slash), path: rest.slice(slash + 1) };
+}
+
+/**
+ * Copy of a data tree without its state (config false) nodes
+ */
+function configOnly(value) {
+    if (Array.isArray(value)) return value.map(configOnly);
+    if (value === null || typeof value !== 'object') return value;
+    const out = {};
+    for (const [name, child] of Object.entries(value)) {
+        if (!STATE_NODES.has(name)) out[name] = configOnly(child);
+    }
+    return out;
+}
+
+/**
+ * Split "mod:a/b[k='v']/c" into [{name, keys}]
+ */
+function parsePath(path) {
+    const segments = [];
+    const re = /([^/[\]]+)((?:\[[^\]]*\])*)/g;
+    const trimmed = path.replace(/^\/+/, '');
+    if (!trimmed) return segments;
+
+    for (const part of splitPath(trimmed)) {
+        const match = re.exec(part);
+        re.lastIndex = 0;
+        if (!match || match[0] !== part) {
+            throw new Error(`Invalid path segment: ${part}`);
+        }
+
+        const keys = {};
+        for (const pred of match[2].matchAll(/\[\s*([^=\s]+)\s*=\s*(?:(['"])(.*?)\2|([^'"\]\s]+))\s*\]/g)) {
+            keys[pred[1]] = pred[3] ?? pred[4];
+        }
+        segments.push({ name: match[1], keys });
+    }
+    return segments;
+}
+
+/**
+ * Split on '/' outside of predicates
+ */
+function splitPath(path) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of path) {
+        if (ch === '[') depth++;
+        if (ch === ']') depth--;
+        if (ch === '/' && depth === 0) {
+            if (current) parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
+/**
+ * Path segments for a SID's schema path, giving each list on the way its key
+ * from the instance identifier
+ */
+function sidSegments(schemaPath, keys) {
+    const remaining = [...keys];
+    return schemaPath.split('/').filter(Boolean).map(name => {
+        const listKey = LIST_KEYS[name.split(':').pop()];
+        return { name, keys: listKey && remaining.length ? { [listKey]: remaining.shift() } : {} };
+    });
+}
+
+/**
+ * Look up a child member, with or without module prefix
+ */
+function memberName(container, name) {
+    if (name in container) return name;
+    const local = name.includes(':') ? name.split(':')[1] : name;
+    if (local in container) return local;
+    return Object.keys(container).find(k => k.split(':').pop() === local) || null;
+}
+
+function matchesKeys(entry, keys) {
+    return Object.entries(keys).every(([k, v]) => String(entry?.[k]) === String(v));
+}
+
+/**
+ * Resolve a path to { parent, key, value }
+ */
+function resolve(root, segments) {
+    let node = { parent: null, key: null, value: root };
+
+    for (const seg of segments) {
+        const container = node.value;
+        if (!container || typeof container !== 'object' || Array.isArray(container)) return null;
+        const name = memberName(container, seg.name);
+        if (name === null) return null;
+
+        let value = container[name];
+        if (Object.keys(seg.keys).length > 0) {
+            if (!Array.isArray(value)) return null;
+            const index = value.findIndex(e => matchesKeys(e, seg.keys));
+            if (index === -1) return null;
+            node = { parent: value, key: index, value: value[index] };
+        } else {
+            node = { parent: container, key: name, value };
+        }
+    }
+    return node;
+}
+
+/**
+ * Write a value at a path, creating missing containers and list entries
+ */
+function assign(root, segments, value) {
+    let container = root;
+
+    segments.forEach((seg, i) => {
+        const last = i === segments.length - 1;
+        const name = memberName(container, seg.name) || seg.name;
+        const hasKeys = Object.keys(seg.keys).length > 0;
+
+        if (hasKeys) {
+            if (!Array.isArray(container[name])) container[name] = [];
+            const list = container[name];
+            let index = list.findIndex(e => matchesKeys(e, seg.keys));
+            if (index === -1) {
+                list.push(typedKeys(seg.keys));
+                index = list.length - 1;
+            }
+            if (last) {
+                // The entry is replaced, as a leaf is; its keys stay
+                list[index] = { ...(value && typeof value === 'object' ? value : {}) };
+                Object.assign(list[index], typedKeys(seg.keys, list[index]));
+            }
+            container = list[index];
+        } else if (last) {
+            container[name] = value;
+        } else {
+            if (!container[name] || typeof container[name] !== 'object') container[name] = {};
+            container = container[name];
+        }
+    });
+
+    return resolve(root, segments);
+}
+
+/**
+ * Keep numeric list keys numeric (vid=10 rather than "10")
+ */
+function typedKeys(keys, entry = {}) {
+    const out = {};
+    for (const [k, v] of Object.entries(keys)) {
+        out[k] = typeof entry[k] === 'number' || /^-?\d+$/.test(v) ? Number(v) : v;
+    }
+    return out;
+}
+
+/**
+ * Merge POSTed children into a container; list entries are appended
+ * @returns {boolean} - false if a list entry with the same key exists
+ */
+function merge(target, data) {
+    for (const [name, value] of Object.entries(data)) {
+        const key = memberName(target, name) || name;
+        const listKey = LIST_KEYS[key.split(':').pop()];
+
+        if (listKey) {
+            if (!Array.isArray(target[key])) target[key] = [];
+            for (const entry of Array.isArray(value) ? value : [value]) {
+                if (target[key].some(e => String(e[listKey]) === String(entry[listKey]))) return false;
+                target[key].push(clone(entry));
+            }
+        } else {
+            target[key] = clone(value);
+        }
+    }
+    return true;
+}
+
+/**
+ * Remove the node at a path
+ */
+function remove(root, segments) {
+    const node = resolve(root, segments);
+    if (!node || node.parent === null) return false;
+    if (Array.isArray(node.parent)) node.parent.splice(node.key, 1);
+    else delete node.parent[node.key];
+    return true;
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export default VelocityDriveSimulator;
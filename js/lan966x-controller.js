@@ -5,15 +5,56 @@
 
 import MUP1Protocol from './velocitydrive-protocol.js';
 import CoAPClient from './coap-client.js';
+import SIDRegistry from './coreconf.js';
+import ConfigTransaction from './config-transaction.js';
+
+// Top-level configuration subtrees read for a full configuration backup when
+// no SID files are loaded
+export const CONFIG_ROOTS = [
+    '/ietf-interfaces:interfaces',
+    '/ieee802-dot1q-bridge:bridges',
+    '/ieee1588-ptp:ptp',
+    '/ieee802-dot1q-sched:interfaces',
+    '/ieee802-dot1q-preemption:interfaces'
+];
+
+// CORECONF FETCH sends instance identifiers and gets instances back
+// (application/yang-identifiers+cbor-seq, application/yang-instances+cbor-seq)
+const FETCH_FORMATS = { contentFormat: 141, accept: 142 };
+
+// NMDA datastores (RFC 8342); intended and operational cannot be written
+export const DATASTORES = ['running', 'intended', 'operational', 'startup'];
+const READ_ONLY_DATASTORES = ['intended', 'operational'];
+
+// Interface types (iana-if-type identities) that are switch ports
+const PORT_TYPES = ['ethernetCsmacd'];
 
 export class LAN966xController {
-    constructor(connection) {
+    /**
+     * @param {Transport} connection - Open transport to the device
+     * @param {Object} options - { coap: CoAPClient options, e.g. { tokenLength: 4 }, sids: SIDRegistry,
+     *   datastore: NMDA datastore used when a request does not name one (default: none, the device's choice) }
+     *   Paths covered by the loaded SID files are read and written with CORECONF
+     *   (FETCH/iPATCH on /c with SID-encoded payloads); others fall back to
+     *   GET/PUT/DELETE on the path.
+     */
+    constructor(connection, options = {}) {
         this.connection = connection;
         this.protocol = new MUP1Protocol();
-        this.coap = new CoAPClient(this);
+        this.coap = new CoAPClient(this, options.coap);
+        this.sids = options.sids || new SIDRegistry();
+        this.datastore = null;
+        this.setDatastore(options.datastore ?? null);
         this.deviceInfo = null;
+        this.interfaces = [];          // Ports found by discoverInterfaces(); port indexes refer to this list
         this.ports = [];
         this.callbacks = new Map();
+
+        // Forward MUP1 link errors reported by the stream decoder
+        if (connection?.decoder) {
+            connection.decoder.on('checksum-error', (info) => this.emit('link-error', { type: 'checksum', ...info }));
+            connection.decoder.on('overrun', (info) => this.emit('link-error', { type: 'overrun', ...info }));
+        }
     }
 
     /**
@@ -33,9 +74,13 @@ export class LAN966xController {
         // Get device information
         await this.getDeviceInfo();
         
-        // Get port configuration
+        // Ports as the device reports them, then their configuration
+        await this.discoverInterfaces();
         await this.getPortStatus();
         
+        // Observations made before a reconnect or device restart
+        await this.coap.resubscribe();
+        
         return this.deviceInfo;
     }
 
@@ -73,13 +118,16 @@ export class LAN966xController {
 
     /**
      * Get port status for all ports
+     * Admin settings and oper-status come from the same read, so use the
+     * operational datastore to see both as they are in effect.
+     * @param {Object} options - CoAP request options, e.g. { priority: 'background' } for polling,
+     *   and datastore: one of DATASTORES
      */
-    async getPortStatus() {
+    async getPortStatus(options) {
         const ports = [];
-        const numPorts = this.getPortCount();
         
-        for (let i = 0; i < numPorts; i++) {
-            const status = await this.getPortInfo(i);
+        for (const port of await this.getInterfaces(options)) {
+            const status = await this.getPortInfo(port.index, options);
             ports.push(status);
         }
         
@@ -88,29 +136,84 @@ export class LAN966xController {
     }
 
     /**
-     * Get port count based on device type
+     * Read the switch ports from ietf-interfaces
+     * Port indexes taken by the other methods refer to this list, in the order
+     * the device reports it. Interfaces of other types (bridge, loopback, ...)
+     * are left out; an entry without a type counts as a port.
+     * @param {Object} options - CoAP request options and datastore
+     * @returns {Array<{index, name, type, physAddress, speed}>} - physAddress and speed are
+     *   null when the datastore read does not include state data
+     */
+    async discoverInterfaces(options) {
+        const result = await this.readData('/ietf-interfaces:interfaces', options);
+        this.interfaces = (result?.interface || [])
+            .filter(entry => !entry.type || PORT_TYPES.includes(String(entry.type).replace(/^.*:/, '')))
+            .map((entry, index) => ({
+                index,
+                name: entry.name,
+                type: entry.type ?? null,
+                physAddress: entry['phys-address'] ?? null,
+                speed: entry.speed ?? null
+            }));
+        return this.interfaces;
+    }
+
+    /**
+     * Discovered ports, discovering them on first use
+     * @param {Object} options - CoAP request options and datastore
+     */
+    async getInterfaces(options) {
+        if (!this.interfaces.length) await this.discoverInterfaces(options);
+        return this.interfaces;
+    }
+
+    /**
+     * Number of discovered ports
      */
     getPortCount() {
-        if (!this.deviceInfo) return 0;
-        
-        const deviceType = this.deviceInfo.deviceType.toLowerCase();
-        if (deviceType.includes('9662')) return 2;
-        if (deviceType.includes('9668')) return 8;
-        if (deviceType.includes('9692')) return 12;
-        
-        return 2; // Default
+        return this.interfaces.length;
+    }
+
+    /**
+     * Discovered port by index or interface name
+     * @param {number|string} port
+     */
+    async findPort(port) {
+        const ports = await this.getInterfaces();
+        const found = typeof port === 'string' ? ports.find(p => p.name === port) : ports[port];
+        if (!found) {
+            throw new Error(`Unknown port ${port} (device has ${ports.map(p => p.name).join(', ') || 'no ports'})`);
+        }
+        return found;
+    }
+
+    /**
+     * Interface name of a port given by index or name
+     */
+    async portName(port) {
+        return (await this.findPort(port)).name;
     }
 
     /**
      * Get information for specific port
+     * @param {number|string} port - Port index or interface name
+     * @param {Object} options - CoAP request options and datastore
      */
-    async getPortInfo(portIndex) {
-        const oid = `/ietf-interfaces:interfaces/interface[name='eth${portIndex}']`;
-        const result = await this.coap.get(oid);
-        
+    async getPortInfo(port, options) {
+        const { index, name } = await this.findPort(port);
+        const result = await this.readData(`/ietf-interfaces:interfaces/interface[name='${name}']`, options);
+        return this.toPortInfo(index, result);
+    }
+
+    /**
+     * Port summary from an ietf-interfaces interface entry
+     */
+    toPortInfo(portIndex, result) {
+        const port = this.interfaces[portIndex];
         return {
             index: portIndex,
-            name: `eth${portIndex}`,
+            name: port?.name ?? result?.name,
+            physAddress: result?.['phys-address'] ?? port?.physAddress ?? null,
             enabled: result?.enabled || false,
             speed: result?.speed || 'auto',
             duplex: result?.duplex || 'auto',
@@ -120,116 +223,170 @@ export class LAN966xController {
     }
 
     /**
-     * Configure port settings
+     * Observe port state, counters and system state instead of polling
+     * The callback gets { ports, statistics } (shapes of getPortStatus() and
+     * getStatistics()) on every notification. When the device does not support
+     * Observe the handle has supported: false and nothing stays registered.
+     * @param {Object} options - { onError: (error) => void } when the device ends an observation
+     * @returns {Promise<{supported: boolean, cancel: Function}>}
      */
-    async configurePort(portIndex, config) {
-        const oid = `/ietf-interfaces:interfaces/interface[name='eth${portIndex}']`;
-        
-        const data = {
-            enabled: config.enabled !== undefined ? config.enabled : true,
-            speed: config.speed || 'auto',
-            duplex: config.duplex || 'auto'
+    async observeStatus(callback, { onError } = {}) {
+        const ports = [];
+        let system = {};
+        const handles = [];
+        const update = () => {
+            this.ports = ports.filter(Boolean);
+            callback({
+                ports: this.ports,
+                statistics: { ports: this.ports.map(p => ({ index: p.index, name: p.name, ...p.statistics })), system }
+            });
         };
+        const cancel = () => handles.forEach(handle => handle.cancel());
+        let ended = false;
+        const options = {
+            priority: 'background',
+            onError: (error) => {
+                if (ended) return;
+                ended = true;
+                cancel();
+                onError?.(error);
+            }
+        };
+        
+        try {
+            for (const { index, name } of await this.getInterfaces()) {
+                const oid = `/ietf-interfaces:interfaces/interface[name='${name}']`;
+                handles.push(await this.coap.observe(oid, (value) => {
+                    ports[index] = this.toPortInfo(index, value);
+                    update();
+                }, options));
+                if (!handles.at(-1).supported) break;
+            }
+            if (handles.every(handle => handle.supported)) {
+                handles.push(await this.coap.observe('/ietf-system:system-state', (value) => {
+                    system = value || {};
+                    update();
+                }, options));
+            }
+        } catch (error) {
+            cancel();
+            throw error;
+        }
         
-        return await this.coap.put(oid, data);
+        const supported = handles.length > 0 && handles.every(handle => handle.supported);
+        if (!supported) cancel();
+        return { supported, cancel };
+    }
+
+    /**
+     * Configure port settings; only the given settings are changed
+     * @param {number|string} port - Port index or interface name
+     * @param {Object} config - { enabled, speed, duplex }
+     */
+    async configurePort(port, config) {
+        const oid = `/ietf-interfaces:interfaces/interface[name='${await this.portName(port)}']`;
+        
+        return await this.editLeaves(oid, {
+            enabled: config.enabled,
+            speed: config.speed,
+            duplex: config.duplex
+        });
     }
 
 
     /**
      * Configure Credit-Based Shaper (CBS)
      */
-    async configureCBS(portIndex, trafficClass, { idleSlope, sendSlope } = {}) {
-        const base = `/ieee802-dot1q-sched:interfaces/interface[name='eth${portIndex}']/scheduler/traffic-class[index='${trafficClass}']/credit-based-shaper`;
-        const payload = {
+    async configureCBS(port, trafficClass, { idleSlope, sendSlope } = {}) {
+        const base = `/ieee802-dot1q-sched:interfaces/interface[name='${await this.portName(port)}']/scheduler/traffic-class[index=${trafficClass}]/credit-based-shaper`;
+        return await this.editLeaves(base, {
             'idle-slope': idleSlope,
             'send-slope': sendSlope != null ? sendSlope : -idleSlope,
             'admin-idleslope-enabled': true
-        };
-        return await this.coap.put(base, payload);
+        });
     }
+
     /**
      * Create VLAN
+     * @param {Array<number|string>} ports - Member ports by index or interface name
      */
     async createVlan(vlanId, name, ports) {
-        const oid = `/ieee802-dot1q-bridge:bridges/bridge[name='br0']/vlans`;
+        const vlans = `/ieee802-dot1q-bridge:bridges/bridge[name='br0']/vlans`;
         
-        const data = {
-            vlan: {
-                vid: vlanId,
-                name: name,
-                'member-ports': ports.map(p => `eth${p}`)
-            }
+        const memberPorts = [];
+        for (const port of ports) memberPorts.push(await this.portName(port));
+        const vlan = {
+            vid: vlanId,
+            name: name,
+            'member-ports': memberPorts
         };
         
-        return await this.coap.post(oid, data);
+        // Without SIDs, the entry is added with a POST to the list's parent
+        if (!this.sids.knows(`${vlans}/vlan`)) {
+            return await this.coap.post(vlans, { vlan });
+        }
+        return await this.writeData(`${vlans}/vlan[vid=${vlanId}]`, vlan);
     }
 
     /**
      * Delete VLAN
      */
     async deleteVlan(vlanId) {
-        const oid = `/ieee802-dot1q-bridge:bridges/bridge[name='br0']/vlans/vlan[vid='${vlanId}']`;
-        return await this.coap.delete(oid);
+        const oid = `/ieee802-dot1q-bridge:bridges/bridge[name='br0']/vlans/vlan[vid=${vlanId}]`;
+        return await this.deleteData(oid);
     }
 
     /**
      * Get VLAN configuration
+     * @param {Object} options - CoAP request options and datastore
      */
-    async getVlans() {
+    async getVlans(options) {
         const oid = `/ieee802-dot1q-bridge:bridges/bridge[name='br0']/vlans`;
-        const result = await this.coap.get(oid);
+        const result = await this.readData(oid, options);
         return result?.vlan || [];
     }
 
     /**
-     * Configure PTP (Precision Time Protocol)
+     * Configure PTP (Precision Time Protocol) instance 0; only the given settings are changed
+     * @param {Object} config - { clockClass, clockAccuracy, variance, priority1, priority2, domain,
+     *   ports: [{ delayReqInterval, announceInterval, syncInterval }] for port numbers 1..n }
+     *   The port state is chosen by the protocol (config false) and cannot be set.
      */
     async configurePTP(config) {
-        const oid = '/ieee1588-ptp:ptp/instance-list[instance-number="0"]';
+        const oid = '/ieee1588-ptp:ptp/instance-list[instance-number=0]';
         
-        const data = {
+        const leaves = {
             'default-ds': {
                 'clock-quality': {
-                    'clock-class': config.clockClass || 248,
-                    'clock-accuracy': config.clockAccuracy || 254,
-                    'offset-scaled-log-variance': config.variance || 65535
+                    'clock-class': config.clockClass,
+                    'clock-accuracy': config.clockAccuracy,
+                    'offset-scaled-log-variance': config.variance
                 },
-                'priority1': config.priority1 || 128,
-                'priority2': config.priority2 || 128,
-                'domain-number': config.domain || 0
-            },
-            'port-ds-list': config.ports.map((port, idx) => ({
-                'port-number': idx + 1,
-                'port-state': port.state || 'initializing',
-                'log-min-delay-req-interval': port.delayReqInterval || 0,
-                'log-announce-interval': port.announceInterval || 1,
-                'log-sync-interval': port.syncInterval || 0
-            }))
+                'priority1': config.priority1,
+                'priority2': config.priority2,
+                'domain-number': config.domain
+            }
         };
+        (config.ports || []).forEach((port, idx) => {
+            leaves[`port-ds-list[port-number=${idx + 1}]`] = {
+                'log-min-delay-req-interval': port.delayReqInterval,
+                'log-announce-interval': port.announceInterval,
+                'log-sync-interval': port.syncInterval
+            };
+        });
         
-        return await this.coap.put(oid, data);
+        return await this.editLeaves(oid, leaves);
     }
 
 
-    /**
-     * Configure Credit-Based Shaper (CBS)
-     */
-    async configureCBS(portIndex, trafficClass, { idleSlope, sendSlope } = {}) {
-        const base = `/ieee802-dot1q-sched:interfaces/interface[name='eth${portIndex}']/scheduler/traffic-class[index='${trafficClass}']/credit-based-shaper`;
-        const payload = {
-            'idle-slope': idleSlope,
-            'send-slope': sendSlope != null ? sendSlope : -idleSlope,
-            'admin-idleslope-enabled': true
-        };
-        return await this.coap.put(base, payload);
-    }
     /**
      * Configure Time-Aware Scheduler (TAS)
      */
-    async configureTAS(portIndex, schedule) {
-        const oid = `/ieee802-dot1q-sched:interfaces/interface[name='eth${portIndex}']/schedule`;
+    async configureTAS(port, schedule) {
+        const oid = `/ieee802-dot1q-sched:interfaces/interface[name='${await this.portName(port)}']/schedule`;
         
-        const data = {
+        // The gate control list is replaced as a whole; other schedule leaves are kept
+        return await this.editLeaves(oid, {
             'admin-control-list': schedule.entries.map((entry, idx) => ({
                 'index': idx,
                 'operation-name': 'set-gate-states',
@@ -238,81 +395,263 @@ export class LAN966xController {
             })),
             'admin-cycle-time': schedule.cycleTime,
             'admin-base-time': schedule.baseTime || { seconds: 0, nanoseconds: 0 }
-        };
-        
-        return await this.coap.put(oid, data);
+        });
     }
 
 
-    /**
-     * Configure Credit-Based Shaper (CBS)
-     */
-    async configureCBS(portIndex, trafficClass, { idleSlope, sendSlope } = {}) {
-        const base = `/ieee802-dot1q-sched:interfaces/interface[name='eth${portIndex}']/scheduler/traffic-class[index='${trafficClass}']/credit-based-shaper`;
-        const payload = {
-            'idle-slope': idleSlope,
-            'send-slope': sendSlope != null ? sendSlope : -idleSlope,
-            'admin-idleslope-enabled': true
-        };
-        return await this.coap.put(base, payload);
-    }
     /**
      * Configure Frame Preemption
      */
-    async configureFramePreemption(portIndex, config) {
-        const oid = `/ieee802-dot1q-preemption:interfaces/interface[name='eth${portIndex}']/frame-preemption`;
+    async configureFramePreemption(port, config) {
+        const oid = `/ieee802-dot1q-preemption:interfaces/interface[name='${await this.portName(port)}']/frame-preemption`;
         
-        const data = {
+        return await this.editLeaves(oid, {
             'frame-preemption-status-table': {
                 'frame-preemption-status': config.enabled ? 'express' : 'preemptable',
-                'hold-advance': config.holdAdvance || 0,
-                'release-advance': config.releaseAdvance || 0,
+                'hold-advance': config.holdAdvance,
+                'release-advance': config.releaseAdvance,
                 'preemption-active': config.enabled
             }
-        };
-        
-        return await this.coap.put(oid, data);
+        });
     }
 
 
-    /**
-     * Configure Credit-Based Shaper (CBS)
-     */
-    async configureCBS(portIndex, trafficClass, { idleSlope, sendSlope } = {}) {
-        const base = `/ieee802-dot1q-sched:interfaces/interface[name='eth${portIndex}']/scheduler/traffic-class[index='${trafficClass}']/credit-based-shaper`;
-        const payload = {
-            'idle-slope': idleSlope,
-            'send-slope': sendSlope != null ? sendSlope : -idleSlope,
-            'admin-idleslope-enabled': true
-        };
-        return await this.coap.put(base, payload);
-    }
     /**
      * Get system statistics
+     * Counters are state data: they exist only in the operational datastore.
+     * @param {Object} options - CoAP request options and datastore
      */
-    async getStatistics() {
+    async getStatistics(options) {
         const stats = {
             ports: [],
             system: {}
         };
         
         // Get per-port statistics
-        for (let i = 0; i < this.getPortCount(); i++) {
-            const oid = `/ietf-interfaces:interfaces/interface[name='eth${i}']/statistics`;
-            const portStats = await this.coap.get(oid);
+        for (const { index, name } of await this.getInterfaces(options)) {
+            const oid = `/ietf-interfaces:interfaces/interface[name='${name}']/statistics`;
+            const portStats = await this.readData(oid, options);
             stats.ports.push({
-                index: i,
+                index,
+                name,
                 ...portStats
             });
         }
         
         // Get system statistics
         const sysOid = '/ietf-system:system-state';
-        stats.system = await this.coap.get(sysOid);
+        stats.system = await this.readData(sysOid, options);
         
         return stats;
     }
 
+    /**
+     * Subtrees of a full configuration: the top-level nodes of the loaded
+     * modules, CONFIG_ROOTS without SID files
+     */
+    configRoots() {
+        const roots = this.sids.roots();
+        return roots.length ? roots : CONFIG_ROOTS;
+    }
+
+    /**
+     * Read every configuration subtree (block-wise where needed)
+     * Subtrees the device does not implement are skipped, and so are state
+     * subtrees, which configuration datastores (running, startup) do not hold.
+     * @param {Object} options - { onProgress: ({ root, index, count, transferred, total }) => void,
+     *   datastore: one of DATASTORES }
+     * @returns {Object} - { '<module>:<node>': value }
+     */
+    async getFullConfiguration({ onProgress, datastore } = {}) {
+        const config = {};
+        const roots = this.configRoots();
+        
+        for (const [index, root] of roots.entries()) {
+            const report = (progress) => onProgress?.({ root, index, count: roots.length, ...progress });
+            report({ transferred: 0, total: null });
+            try {
+                const value = await this.readData(root, { onProgress: report, datastore });
+                if (value !== null) config[root.slice(1)] = value;
+            } catch (error) {
+                if (error.code !== 132) throw error;  // 4.04: not implemented on this device
+            }
+        }
+        
+        return config;
+    }
+
+    /**
+     * Select the NMDA datastore used by requests that do not name one
+     * @param {string|null} datastore - One of DATASTORES, or null to leave the choice to the device
+     */
+    setDatastore(datastore) {
+        this.datastore = this.checkDatastore(datastore);
+    }
+
+    checkDatastore(datastore, write = false) {
+        if (datastore === null || datastore === undefined) return null;
+        if (!DATASTORES.includes(datastore)) {
+            throw new Error(`Unknown datastore ${datastore} (${DATASTORES.join(', ')})`);
+        }
+        if (write && READ_ONLY_DATASTORES.includes(datastore)) {
+            throw new Error(`The ${datastore} datastore is read-only`);
+        }
+        return datastore;
+    }
+
+    /**
+     * URI of a resource in a datastore
+     * The CORECONF resource /c takes a "ds" query; other paths are prefixed
+     * with the RFC 8527 datastore path, e.g. /ds/ietf-datastores:operational/...
+     * @param {string} uri - Resource URI, e.g. "c?d=a" or "/ietf-interfaces:interfaces"
+     * @param {string|null} datastore - One of DATASTORES, null for the device default
+     */
+    datastoreUri(uri, datastore) {
+        if (!datastore) return uri;
+        const [path, query] = uri.split('?');
+        if (path.replace(/^\//, '') === 'c') {
+            return `${path}?${query ? `${query}&` : ''}ds=${datastore}`;
+        }
+        return `/ds/ietf-datastores:${datastore}/${path.replace(/^\//, '')}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Read a data node
+     * With a SID for the path this is a CORECONF FETCH of its instance
+     * identifier on /c (with-defaults "all"), otherwise a GET on the path.
+     * @param {string} path - Instance path, e.g. "/ietf-interfaces:interfaces/interface[name='eth0']"
+     * @param {Object} options - CoAP request options, plus datastore: one of DATASTORES
+     * @returns {*} - Value with YANG member names, null if the device returned none
+     */
+    async readData(path, { datastore, ...options } = {}) {
+        datastore = this.checkDatastore(datastore ?? this.datastore);
+        if (!this.sids.knows(path)) {
+            return await this.coap.get(this.datastoreUri(path, datastore), options);
+        }
+        
+        const iid = this.sids.instanceIdentifier(path);
+        const result = await this.coap.fetch(this.datastoreUri('c?d=a', datastore), [iid], { ...options, ...FETCH_FORMATS });
+        const items = result instanceof Map ? [result] : Array.isArray(result) ? result : [];
+        const [instance] = this.sids.decodeInstances(items);
+        return instance ? instance.value : null;
+    }
+
+    /**
+     * Read a data node from several datastores, e.g. to compare configured
+     * (running) values with the ones in effect (operational)
+     * @returns {Object} - { datastore: value }, null where the node does not exist
+     */
+    async compareDatastores(path, datastores = ['running', 'operational'], options = {}) {
+        const values = {};
+        for (const datastore of datastores) {
+            try {
+                values[datastore] = await this.readData(path, { ...options, datastore });
+            } catch (error) {
+                if (error.code !== 132) throw error;  // 4.04: not in this datastore
+                values[datastore] = null;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Write a data node: CORECONF iPATCH on /c when the path has a SID, otherwise PUT
+     * Only running and startup can be written.
+     */
+    async writeData(path, value, { datastore, ...options } = {}) {
+        datastore = this.checkDatastore(datastore ?? this.datastore, true);
+        if (!this.sids.knows(path)) {
+            return await this.coap.put(this.datastoreUri(path, datastore), value, options);
+        }
+        
+        return await this.coap.ipatch(this.datastoreUri('c', datastore), [this.sids.encodeInstance(path, value)], options);
+    }
+
+    /**
+     * Delete a data node: CORECONF iPATCH with a null value, otherwise DELETE
+     */
+    async deleteData(path, { datastore, ...options } = {}) {
+        datastore = this.checkDatastore(datastore ?? this.datastore, true);
+        if (!this.sids.knows(path)) {
+            return await this.coap.delete(this.datastoreUri(path, datastore), options);
+        }
+        
+        return await this.coap.ipatch(this.datastoreUri('c', datastore), [this.sids.encodeInstance(path, null)], options);
+    }
+
+    /**
+     * Apply several edits at once: { instancePath: value }, null deletes
+     * With SIDs for every path this is a single iPATCH; otherwise each edit
+     * is written or deleted on its own path.
+     */
+    async patchData(edits, options = {}) {
+        const paths = Object.keys(edits);
+        if (paths.length === 0) return null;
+        
+        if (paths.every(path => this.sids.knows(path))) {
+            const { datastore, ...coapOptions } = options;
+            const uri = this.datastoreUri('c', this.checkDatastore(datastore ?? this.datastore, true));
+            const instances = paths.map(path => this.sids.encodeInstance(path, edits[path]));
+            return await this.coap.ipatch(uri, instances, coapOptions);
+        }
+        for (const path of paths) {
+            if (edits[path] === null) await this.deleteData(path, options);
+            else await this.writeData(path, edits[path], options);
+        }
+        return null;
+    }
+
+    /**
+     * Change only the given leaves below a node, leaving their siblings alone
+     * Nested objects address leaves in child nodes, e.g.
+     * { 'default-ds': { priority1: 128 }, "port-ds-list[port-number=1]": { 'log-sync-interval': -3 } }.
+     * Undefined values are skipped, null deletes the leaf; nothing left to
+     * change is an error rather than a silent no-op.
+     * @param {string} path - Instance path of the parent node
+     */
+    async editLeaves(path, leaves, options) {
+        const edits = {};
+        const collect = (base, values) => {
+            for (const [name, value] of Object.entries(values)) {
+                if (value === undefined) continue;
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    collect(`${base}/${name}`, value);
+                } else {
+                    edits[`${base}/${name}`] = value;
+                }
+            }
+        };
+        collect(path, leaves);
+        if (Object.keys(edits).length === 0) {
+            throw new Error(`No values given to change below ${path}`);
+        }
+        return await this.patchData(edits, options);
+    }
+
+    /**
+     * Start a staged transaction: edits are collected, shown as a diff and
+     * applied together, with the previous values restored if a step fails
+     * @param {Object} options - { datastore }
+     * @returns {ConfigTransaction}
+     */
+    transaction(options) {
+        return new ConfigTransaction(this, options);
+    }
+
+    /**
+     * Get MUP1 link counters from the connection
+     */
+    getLinkStatistics() {
+        return this.connection?.getLinkStatistics ? this.connection.getLinkStatistics() : null;
+    }
+
+    /**
+     * Get CoAP request queue depth
+     */
+    getQueueDepth() {
+        return this.coap.getQueueDepth();
+    }
+
     /**
      * Save configuration
      */
@@ -322,7 +661,7 @@ export class LAN966xController {
         
         return new Promise((resolve) => {
             this.once('system-response', (data) => {
-                resolve(data.includes('success'));
+                resolve(new TextDecoder().decode(data).includes('success'));
             });
         });
     }
@@ -336,7 +675,7 @@ export class LAN966xController {
         
         return new Promise((resolve) => {
             this.once('system-response', (data) => {
-                resolve(data.includes('success'));
+                resolve(new TextDecoder().decode(data).includes('success'));
             });
         });
     }
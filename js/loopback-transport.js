@@ -0,0 +1,55 @@
+/**
+ * In-memory loopback transport
+ * Two linked endpoints: bytes sent on one side arrive on the other.
+ * Used for tests and for the device simulator, no browser or hardware needed.
+ */
+
+import Transport from './transport.js';
+
+export class LoopbackTransport extends Transport {
+    constructor() {
+        super();
+        this.peer = null;
+    }
+
+    /**
+     * Create two connected endpoints
+     * @returns {[LoopbackTransport, LoopbackTransport]}
+     */
+    static createPair() {
+        const a = new LoopbackTransport();
+        const b = new LoopbackTransport();
+        a.peer = b;
+        b.peer = a;
+        return [a, b];
+    }
+
+    async connect() {
+        if (!this.peer) {
+            throw new Error('Loopback endpoint has no peer');
+        }
+        this.setConnected();
+        return { type: 'loopback' };
+    }
+
+    async disconnect() {
+        this.setDisconnected();
+    }
+
+    async sendBytes(bytes) {
+        if (!this.isConnected) {
+            throw new Error('Not connected');
+        }
+
+        // Deliver asynchronously, like a real link would
+        const copy = new Uint8Array(bytes);
+        const peer = this.peer;
+        setTimeout(() => peer.handleIncomingData(copy), 0);
+    }
+
+    describe() {
+        return 'Loopback';
+    }
+}
+
+export default LoopbackTransport;
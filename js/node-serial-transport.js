@@ -0,0 +1,157 @@
+/**
+ * Node.js serial transport
+ * Opens a serial device or pty from Node. Uses the optional `serialport`
+ * package when it is installed (so the baud rate can be set) and falls back
+ * to plain file descriptor I/O, which is enough for ptys and pre-configured
+ * ttys.
+ */
+
+import Transport from './transport.js';
+
+export class NodeSerialTransport extends Transport {
+    constructor(path, options = {}) {
+        super();
+        this.path = path;
+        this.options = { baudRate: 115200, raw: false, ...options };
+        this.port = null;      // serialport instance
+        this.input = null;     // raw fd read stream
+        this.fd = null;
+    }
+
+    /**
+     * Open the serial device
+     */
+    async connect(path = this.path, options = {}) {
+        if (!path) {
+            throw new Error('No serial device path given');
+        }
+        this.path = path;
+        Object.assign(this.options, options);
+
+        try {
+            const SerialPort = this.options.raw ? null : await loadSerialPort();
+            if (SerialPort) {
+                await this.openSerialPort(SerialPort);
+            } else {
+                await this.openRaw();
+            }
+        } catch (error) {
+            this.updateStatus('error', error.message);
+            throw error;
+        }
+
+        this.setConnected();
+        return { type: 'serial', path: this.path, baudRate: this.port ? this.options.baudRate : null };
+    }
+
+    /**
+     * Open through the `serialport` package
+     */
+    async openSerialPort(SerialPort) {
+        const port = new SerialPort({
+            path: this.path,
+            baudRate: this.options.baudRate,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            autoOpen: false
+        });
+        await new Promise((resolve, reject) => port.open(err => err ? reject(err) : resolve()));
+
+        port.on('data', chunk => this.handleIncomingData(new Uint8Array(chunk)));
+        port.on('close', () => {
+            if (this.port === port) {
+                this.port = null;
+                this.setDisconnected();
+            }
+        });
+        port.on('error', error => this.updateStatus('error', error.message));
+        this.port = port;
+    }
+
+    /**
+     * Open with plain file descriptor I/O (ptys, already configured ttys)
+     */
+    async openRaw() {
+        const fs = await import('node:fs');
+        const tty = await import('node:tty');
+
+        const fd = fs.openSync(this.path, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+        const isTTY = tty.isatty(fd);
+        let input;
+        if (isTTY) {
+            // The tty stream owns the descriptor and closes it on destroy
+            input = new tty.ReadStream(fd);
+            input.setRawMode(true);
+        } else {
+            input = fs.createReadStream(null, { fd, autoClose: false });
+        }
+
+        input.on('data', chunk => this.handleIncomingData(new Uint8Array(chunk)));
+        input.on('error', error => this.updateStatus('error', error.message));
+
+        this.fs = fs;
+        this.fd = fd;
+        this.ownsFd = !isTTY;
+        this.input = input;
+    }
+
+    /**
+     * Close the serial device
+     */
+    async disconnect() {
+        const port = this.port;
+        this.port = null;
+        if (port?.isOpen) {
+            await new Promise(resolve => port.close(() => resolve()));
+        }
+
+        if (this.input) {
+            this.input.destroy();
+            this.input = null;
+        }
+        if (this.fd !== null) {
+            if (this.ownsFd) this.fs.closeSync(this.fd);
+            this.fd = null;
+        }
+
+        this.setDisconnected();
+    }
+
+    /**
+     * Send raw bytes to device
+     */
+    async sendBytes(bytes) {
+        if (this.port) {
+            await new Promise((resolve, reject) => {
+                this.port.write(bytes, err => err ? reject(err) : this.port.drain(() => resolve()));
+            });
+            return;
+        }
+
+        if (this.fd === null) {
+            throw new Error('Not connected');
+        }
+        await new Promise((resolve, reject) => {
+            this.fs.write(this.fd, bytes, err => err ? reject(err) : resolve());
+        });
+    }
+
+    describe() {
+        return this.path;
+    }
+}
+
+/**
+ * Load the optional `serialport` package
+ */
+async function loadSerialPort() {
+    try {
+        const mod = await import('serialport');
+        return mod.SerialPort || mod.default?.SerialPort || null;
+    } catch {
+        return null;
+    }
+}
+
+export default NodeSerialTransport;
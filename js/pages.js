@@ -2,6 +2,12 @@
  * Page Templates and Handlers
  */
 
+import { diagnose, Tagged } from './cbor.js';
+import { CONTENT_FORMATS, formatCode } from './coap-client.js';
+import { decodeErrors } from './coreconf.js';
+import { summarizeDiff } from './yang-diff.js';
+import { RATE_WINDOWS, RATE_METRICS, formatRate } from './stats-history.js';
+
 export function initPages(app) {
     // Add page containers to main content
     const mainContent = document.getElementById('main-content');
@@ -26,6 +32,10 @@ export function initPages(app) {
     const tasStandalone = createTasStandalonePage();
     mainContent.appendChild(tasStandalone);
     
+    // Configuration Diff Page
+    const diffPage = createDiffPage();
+    mainContent.appendChild(diffPage);
+    
     // CoAP Console Page
     const coapPage = createCoapPage();
     mainContent.appendChild(coapPage);
@@ -38,6 +48,14 @@ export function initPages(app) {
     const logsPage = createLogsPage();
     mainContent.appendChild(logsPage);
     
+    // Firmware Trace Page
+    const tracePage = createTracePage();
+    mainContent.appendChild(tracePage);
+    
+    // Dashboard traffic chart controls, the same as on the diagnostics page
+    const chartControls = document.getElementById('stats-chart-controls');
+    if (chartControls) chartControls.innerHTML = rateChartControls('stats-chart');
+    
     // Initialize page handlers
     initPageHandlers(app);
 }
@@ -168,6 +186,16 @@ function createYangPage() {
             </div>
             <div class="card" style="grid-column: span 1;">
                 <h3 class="card-title">Node Details</h3>
+                <div class="form-group">
+                    <label class="form-label">Datastore</label>
+                    <select class="form-control" id="yang-datastore" onchange="setYangDatastore(this.value)">
+                    <option value="">Default (device)</option>
+                    <option value="running">running</option>
+                    <option value="intended">intended</option>
+                    <option value="operational">operational</option>
+                    <option value="startup">startup</option>
+                    </select>
+                </div>
                 <div id="yang-details">
                     <p>Select a node from the tree to view details</p>
                 </div>
@@ -180,7 +208,104 @@ function createYangPage() {
                 <div style="margin-top: 20px;">
                     <button class="action-btn" onclick="yangGet()">Get Value</button>
                     <button class="action-btn" onclick="yangSet()">Set Value</button>
+                    <button class="action-btn" onclick="yangCompare()">Compare running / operational</button>
+                </div>
+            </div>
+            <div class="card" style="grid-column: span 2;">
+                <h3 class="card-title">SID Files</h3>
+                <p>Load the .sid files (RFC 9595) of the device's YANG modules to read and write with CORECONF. Paths without a SID use GET/PUT on the path.</p>
+                <div class="form-group">
+                    <input type="file" class="form-control" id="sid-files" accept=".sid,.json" multiple onchange="loadSidFiles(this)">
+                </div>
+                <div id="sid-modules"></div>
+                <button class="action-btn" onclick="clearSidFiles()">Clear SID Files</button>
+            </div>
+        </div>
+    `;
+    return page;
+}
+
+function createCbsPage() {
+    const page = document.createElement('div');
+    page.id = 'cbs-page';
+    page.className = 'page-content';
+    page.innerHTML = `
+        <h2>Credit-Based Shaper</h2>
+        <div class="card">
+            <div class="form-group">
+                <label class="form-label">Port</label>
+                <select class="form-control" id="cbs-port"></select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Traffic Class</label>
+                <input type="number" class="form-control" id="cbs-tc" min="0" max="7" value="0">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Link Speed (Mbps)</label>
+                <input type="number" class="form-control" id="cbs-link" value="1000">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Reserved Bandwidth (%)</label>
+                <input type="number" class="form-control" id="cbs-bw" min="0" max="100" value="20">
+            </div>
+            <button class="action-btn" onclick="configureCBS()">Apply CBS</button>
+        </div>
+    `;
+    return page;
+}
+
+function createTasStandalonePage() {
+    const page = document.createElement('div');
+    page.id = 'tas-page';
+    page.className = 'page-content';
+    page.innerHTML = `
+        <h2>TAS Configuration</h2>
+        <div class="card">
+            <p>Gate control lists are edited on the TSN/PTP page.</p>
+            <button class="action-btn" style="margin-top: 10px;" onclick="document.querySelector('.nav-tab[data-page=tsn]').click()">Open TSN/PTP</button>
+        </div>
+    `;
+    return page;
+}
+
+function createDiffPage() {
+    const page = document.createElement('div');
+    page.id = 'diff-page';
+    page.className = 'page-content';
+    const side = (name, label) => `
+        <div class="form-group">
+            <label class="form-label">${label}</label>
+            <select class="form-control diff-source" id="diff-${name}" onchange="renderDiffSources()"></select>
+            <input type="file" class="form-control" id="diff-${name}-file" accept=".json,.cbor" style="display: none;" onchange="loadDiffFile('${name}', this)">
+        </div>
+    `;
+    page.innerHTML = `
+        <h2>Configuration Diff</h2>
+        <div class="dashboard-grid">
+            <div class="card">
+                <h3 class="card-title">Compare</h3>
+                ${side('left', 'Left')}
+                ${side('right', 'Right')}
+                <button class="action-btn" onclick="runConfigDiff()">Compare</button>
+            </div>
+            <div class="card">
+                <h3 class="card-title">Snapshots</h3>
+                <p>A snapshot stores the device configuration in this browser for later comparison.</p>
+                <div class="form-group">
+                    <input type="text" class="form-control" id="snapshot-name" placeholder="Name (default: date and time)">
+                </div>
+                <button class="action-btn" onclick="takeSnapshot()">Take Snapshot</button>
+                <div id="snapshot-list"></div>
+            </div>
+            <div class="card" style="grid-column: 1 / -1;">
+                <h3 class="card-title">Differences</h3>
+                <div class="form-group">
+                    <label><input type="checkbox" class="diff-filter" value="added" checked onchange="renderConfigDiff()"> Added</label>
+                    <label><input type="checkbox" class="diff-filter" value="removed" checked onchange="renderConfigDiff()"> Removed</label>
+                    <label><input type="checkbox" class="diff-filter" value="changed" checked onchange="renderConfigDiff()"> Changed</label>
                 </div>
+                <div id="diff-summary"></div>
+                <div id="diff-result"></div>
             </div>
         </div>
     `;
@@ -202,6 +327,8 @@ function createCoapPage() {
                     <option value="PUT">PUT</option>
                     <option value="DELETE">DELETE</option>
                     <option value="FETCH">FETCH</option>
+                    <option value="IPATCH">iPATCH</option>
+                    <option value="PATCH">PATCH</option>
                 </select>
             </div>
             <div class="form-group">
@@ -209,8 +336,49 @@ function createCoapPage() {
                 <input type="text" class="form-control" id="coap-uri" placeholder="/ietf-interfaces:interfaces">
             </div>
             <div class="form-group">
-                <label class="form-label">Payload (JSON)</label>
-                <textarea class="form-control" id="coap-payload" rows="5" placeholder='{"key": "value"}'></textarea>
+                <label class="form-label">Datastore</label>
+                <select class="form-control" id="coap-datastore">
+                    <option value="">Default (device)</option>
+                    <option value="running">running</option>
+                    <option value="intended">intended</option>
+                    <option value="operational">operational</option>
+                    <option value="startup">startup</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Content-Format</label>
+                <select class="form-control" id="coap-content-format">
+                    <option value="">Default (application/cbor)</option>
+                    <option value="60">60 application/cbor</option>
+                    <option value="140">140 application/yang-data+cbor; id=sid</option>
+                    <option value="141">141 application/yang-identifiers+cbor-seq (FETCH)</option>
+                    <option value="142">142 application/yang-instances+cbor-seq</option>
+                    <option value="63">63 application/cbor-seq</option>
+                    <option value="50">50 application/json</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Accept</label>
+                <select class="form-control" id="coap-accept">
+                    <option value="">None</option>
+                    <option value="60">60 application/cbor</option>
+                    <option value="140">140 application/yang-data+cbor; id=sid</option>
+                    <option value="142">142 application/yang-instances+cbor-seq</option>
+                    <option value="50">50 application/json</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Payload Format</label>
+                <select class="form-control" id="coap-payload-format">
+                    <option value="json">JSON</option>
+                    <option value="diag">CBOR diagnostic notation</option>
+                    <option value="hex">Hex (sent as is)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Payload (JSON or diagnostic: comma-separated items for -seq formats;
+                    JSON iPATCH/PATCH: {"instance path": value} with SID files, or [[SID, value], ...])</label>
+                <textarea class="form-control" id="coap-payload" rows="5" placeholder='{"key": "value"}  /  {1: h&#39;0102&#39;}  /  a1 01 42 01 02'></textarea>
             </div>
             <button class="action-btn" onclick="sendCoap()">Send Request</button>
         </div>
@@ -222,8 +390,22 @@ function createCoapPage() {
         </div>
         <div class="card" style="margin-top: 20px;">
             <h3 class="card-title">Response</h3>
-            <div id="coap-response" class="code-editor">
-                <pre>No response yet</pre>
+            <div class="form-group">
+                <select class="form-control" id="coap-response-format" onchange="renderCoapResponse()">
+                    <option value="json">JSON</option>
+                    <option value="diag">CBOR diagnostic notation</option>
+                    <option value="hex">Hex</option>
+                </select>
+            </div>
+            <div id="coap-response-status"></div>
+            <div id="coap-response-errors"></div>
+            <div class="coap-response">
+                <div id="coap-response" class="code-editor">
+                    <pre>No response yet</pre>
+                </div>
+                <div id="coap-response-hex" class="code-editor">
+                    <pre></pre>
+                </div>
             </div>
         </div>
     `;
@@ -241,6 +423,18 @@ function createDiagnosticsPage() {
                 <h3 class="card-title">Port Statistics</h3>
                 <div id="port-stats"></div>
             </div>
+            <div class="card">
+                <h3 class="card-title">Traffic History</h3>
+                <div class="stats-toolbar">
+                    <select class="form-control" id="diag-chart-port" onchange="renderStatsCharts()">
+                        <option value="">All ports</option>
+                    </select>
+                    ${rateChartControls('diag-chart')}
+                </div>
+                <div class="stats-container">
+                    <canvas id="diag-stats-chart" width="600" height="220"></canvas>
+                </div>
+            </div>
             <div class="card">
                 <h3 class="card-title">MAC Address Table</h3>
                 <div id="mac-table"></div>
@@ -249,6 +443,10 @@ function createDiagnosticsPage() {
                 <h3 class="card-title">System Information</h3>
                 <div id="system-info"></div>
             </div>
+            <div class="card">
+                <h3 class="card-title">Serial Link</h3>
+                <div id="link-stats"></div>
+            </div>
             <div class="card">
                 <h3 class="card-title">Cable Diagnostics</h3>
                 <select class="form-control" id="cable-test-port">
@@ -284,6 +482,73 @@ function createLogsPage() {
     return page;
 }
 
+function createTracePage() {
+    const page = document.createElement('div');
+    page.id = 'trace-page';
+    page.className = 'page-content';
+    page.innerHTML = `
+        <h2>Firmware Trace</h2>
+        <div class="card">
+            <div class="trace-toolbar">
+                <button class="action-btn" id="trace-pause" onclick="toggleTracePause()">⏸ Pause</button>
+                <select class="form-control" id="trace-module" onchange="renderTrace()">
+                    <option value="">All modules</option>
+                </select>
+                <select class="form-control" id="trace-level" onchange="renderTrace()">
+                    <option value="debug">All levels</option>
+                    <option value="info">Info and above</option>
+                    <option value="notice">Notice and above</option>
+                    <option value="warning">Warning and above</option>
+                    <option value="error">Error and above</option>
+                </select>
+                <input type="text" class="form-control" id="trace-search" placeholder="Search" oninput="renderTrace()">
+                <button class="action-btn" onclick="clearTrace()">Clear</button>
+                <button class="action-btn" onclick="exportTrace('txt')">Export TXT</button>
+                <button class="action-btn" onclick="exportTrace('json')">Export JSON</button>
+            </div>
+            <div id="trace-status" class="trace-status">No trace output yet</div>
+            <div id="trace-container" class="trace-container"></div>
+        </div>
+    `;
+    return page;
+}
+
+/**
+ * Render the filtered trace log (last 500 matching lines)
+ */
+export function renderTrace(app) {
+    const container = document.getElementById('trace-container');
+    if (!container || !app.traceLog) return;
+    
+    // Keep module choices in sync with what has been seen
+    const moduleSelect = document.getElementById('trace-module');
+    const known = new Set(Array.from(moduleSelect.options).map(o => o.value));
+    for (const module of Array.from(app.traceLog.modules).sort()) {
+        if (!known.has(module)) moduleSelect.add(new Option(module, module));
+    }
+    
+    const entries = app.traceLog.filter({
+        module: moduleSelect.value,
+        maxLevel: document.getElementById('trace-level').value,
+        search: document.getElementById('trace-search').value.trim()
+    });
+    const shown = entries.slice(-500);
+    
+    container.innerHTML = '';
+    for (const entry of shown) {
+        const row = document.createElement('div');
+        row.className = `trace-line trace-${entry.level || 'none'}`;
+        const time = new Date(entry.time).toLocaleTimeString();
+        row.textContent = `${time} ${(entry.level || '-').toUpperCase().padEnd(7)} ${entry.module ? '[' + entry.module + '] ' : ''}${entry.text}`;
+        container.appendChild(row);
+    }
+    container.scrollTop = container.scrollHeight;
+    
+    const status = document.getElementById('trace-status');
+    status.textContent = `${shown.length} of ${entries.length} matching, ${app.traceLog.entries.length} total` +
+        (app.tracePaused ? ' (paused)' : '');
+}
+
 function initPageHandlers(app) {
     window.pageHandlers = {
         ports: {
@@ -295,9 +560,10 @@ function initPageHandlers(app) {
                 
                 portsList.innerHTML = ports.map(port => `
                     <div class="port-config-item" style="border: 1px solid #ddd; padding: 15px; margin-bottom: 10px; border-radius: 8px;">
-                        <h4>Port ${port.index} (${port.name})</h4>
+                        <h4>${port.name}</h4>
                         <div class="form-group">
                             <label>Status: ${port.linkStatus === 'up' ? '🔗 Up' : '🔴 Down'}</label>
+                            ${port.physAddress ? `<label style="margin-left: 15px;">MAC: ${port.physAddress}</label>` : ''}
                         </div>
                         <div class="form-group">
                             <label>Speed:</label>
@@ -346,10 +612,10 @@ function initPageHandlers(app) {
                 
                 // Setup port selection
                 const portSelect = document.getElementById('vlan-ports-select');
-                const portCount = app.controller.getPortCount();
-                portSelect.innerHTML = Array.from({length: portCount}, (_, i) => `
+                const ports = await app.controller.getInterfaces();
+                portSelect.innerHTML = ports.map(port => `
                     <label>
-                        <input type="checkbox" value="${i}"> Port ${i}
+                        <input type="checkbox" value="${port.index}"> ${port.name}
                     </label>
                 `).join(' ');
             }
@@ -360,50 +626,89 @@ function initPageHandlers(app) {
                 if (!app.controller) return;
                 
                 const stats = await app.controller.getStatistics();
+                app.statsHistory.add(stats);
                 
-                // Port statistics
+                // Port statistics, with rates over the last sampling interval
                 const portStats = document.getElementById('port-stats');
                 portStats.innerHTML = '<table class="table">' +
-                    '<thead><tr><th>Port</th><th>RX Bytes</th><th>TX Bytes</th><th>RX Errors</th><th>TX Errors</th></tr></thead>' +
+                    '<thead><tr><th>Port</th><th>RX Bytes</th><th>TX Bytes</th><th>RX Errors</th><th>TX Errors</th>' +
+                    '<th>RX Rate</th><th>TX Rate</th><th>Errors/s</th></tr></thead>' +
                     '<tbody>' +
-                    stats.ports.map(port => `
+                    stats.ports.map(port => {
+                        const rates = app.statsHistory.latest(port.name);
+                        const errors = rates && (rates.rxErrors ?? 0) + (rates.txErrors ?? 0);
+                        return `
                         <tr>
-                            <td>Port ${port.index}</td>
+                            <td>${port.name}</td>
                             <td>${port['in-octets'] || 0}</td>
                             <td>${port['out-octets'] || 0}</td>
                             <td>${port['in-errors'] || 0}</td>
                             <td>${port['out-errors'] || 0}</td>
+                            <td>${formatRate(rates?.rxBps)}</td>
+                            <td>${formatRate(rates?.txBps)}</td>
+                            <td>${formatRate(errors, 'errors')}</td>
                         </tr>
-                    `).join('') +
+                    `;
+                    }).join('') +
                     '</tbody></table>';
+                
+                const ports = await app.controller.getInterfaces();
+                const cableSel = document.getElementById('cable-test-port');
+                if (cableSel) cableSel.innerHTML = '<option>Select Port</option>' + portOptions(ports);
+                const chartSel = document.getElementById('diag-chart-port');
+                if (chartSel) {
+                    const current = chartSel.value;
+                    chartSel.innerHTML = '<option value="">All ports</option>' +
+                        ports.map(port => `<option value="${port.name}">${port.name}</option>`).join('');
+                    chartSel.value = ports.some(port => port.name === current) ? current : '';
+                }
+                renderStatsCharts(app);
+                
+                renderLinkStats(app);
             }
         }
         ,
         tsn: {
             load: async () => {
                 if (!app.controller) return;
-                const count = app.controller.getPortCount();
+                const ports = await app.controller.getInterfaces();
                 const tasSel = document.getElementById('tas-port');
                 const preSel = document.getElementById('preempt-port');
-                if (tasSel) tasSel.innerHTML = Array.from({length: count}, (_,i)=>`<option value="${i}">Port ${i}</option>`).join('');
-                if (preSel) preSel.innerHTML = Array.from({length: count}, (_,i)=>`<option value="${i}">Port ${i}</option>`).join('');
+                if (tasSel) tasSel.innerHTML = portOptions(ports);
+                if (preSel) preSel.innerHTML = portOptions(ports);
                 if (typeof addTasEntry === 'function') addTasEntry();
             }
         },
         cbs: {
             load: async () => {
                 if (!app.controller) return;
-                const count = app.controller.getPortCount();
+                const ports = await app.controller.getInterfaces();
                 const cbsSel = document.getElementById('cbs-port');
-                if (cbsSel) cbsSel.innerHTML = Array.from({length: count}, (_,i)=>`<option value="${i}">Port ${i}</option>`).join('');
+                if (cbsSel) cbsSel.innerHTML = portOptions(ports);
+            }
+        },
+        trace: {
+            load: async () => {
+                renderTrace(app);
+            }
+        },
+        yang: {
+            load: async () => {
+                renderSidModules(app);
+            }
+        },
+        diff: {
+            load: async () => {
+                renderDiffSources(app);
+                renderConfigDiff(app);
             }
         },
         tas: {
             load: async () => {
                 if (!app.controller) return;
-                const count = app.controller.getPortCount();
+                const ports = await app.controller.getInterfaces();
                 const tasSel = document.getElementById('tas-port');
-                if (tasSel) tasSel.innerHTML = Array.from({length: count}, (_,i)=>`<option value="${i}">Port ${i}</option>`).join('');
+                if (tasSel) tasSel.innerHTML = portOptions(ports);
                 if (typeof addTasEntry === 'function') addTasEntry();
             }
         }
@@ -411,4 +716,335 @@ function initPageHandlers(app) {
     };
 }
 
+/**
+ * Options for a port selector, one per discovered interface; the value is the port index
+ */
+function portOptions(ports) {
+    return ports.map(port => `<option value="${port.index}">${port.name}</option>`).join('');
+}
+
+/**
+ * Window and metric selects of a traffic chart, ids <prefix>-window and <prefix>-metric
+ */
+function rateChartControls(prefix) {
+    return `
+        <select class="form-control" id="${prefix}-window" onchange="renderStatsCharts()">
+            <option value="1m">1 min</option>
+            <option value="15m">15 min</option>
+            <option value="1h">1 h</option>
+        </select>
+        <select class="form-control" id="${prefix}-metric" onchange="renderStatsCharts()">
+            <option value="bps">Bits/s</option>
+            <option value="pps">Packets/s</option>
+            <option value="errors">Errors/s</option>
+        </select>
+    `;
+}
+
+/**
+ * Draw the traffic charts: all ports on the dashboard, the selected port on the diagnostics page
+ */
+export function renderStatsCharts(app) {
+    const now = Date.now();
+    const charts = [
+        { canvas: 'stats-chart', controls: 'stats-chart', port: null },
+        { canvas: 'diag-stats-chart', controls: 'diag-chart', port: document.getElementById('diag-chart-port')?.value || null }
+    ];
+    for (const chart of charts) {
+        const canvas = document.getElementById(chart.canvas);
+        if (!canvas) continue;
+        const windowKey = document.getElementById(`${chart.controls}-window`)?.value || '1m';
+        const metric = document.getElementById(`${chart.controls}-metric`)?.value || 'bps';
+        const samples = app.statsHistory.series(chart.port, RATE_WINDOWS[windowKey], now);
+        drawRateChart(canvas, samples, { windowKey, metric, now });
+    }
+}
+
+/**
+ * Line chart of receive and transmit rates over a window ending now
+ * Samples without a rate (after a counter reset) break the lines.
+ */
+function drawRateChart(canvas, samples, { windowKey, metric, now }) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const left = 70, right = 10, top = 14, bottom = 18;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const span = RATE_WINDOWS[windowKey];
+    const [rxField, txField] = RATE_METRICS[metric];
+    
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px sans-serif';
+    
+    // Scale to the largest rate; an idle link still gets an axis
+    let max = 0;
+    for (const sample of samples) {
+        if (sample.gap) continue;
+        max = Math.max(max, sample[rxField] ?? 0, sample[txField] ?? 0);
+    }
+    max = max > 0 ? max * 1.1 : 1;
+    const x = (time) => left + (time - (now - span)) / span * plotWidth;
+    const y = (value) => top + plotHeight - value / max * plotHeight;
+    
+    // Grid and axis labels
+    ctx.strokeStyle = '#ddd';
+    ctx.fillStyle = '#666';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    for (const fraction of [0, 0.5, 1]) {
+        const lineY = y(max * fraction);
+        ctx.beginPath();
+        ctx.moveTo(left, lineY);
+        ctx.lineTo(width - right, lineY);
+        ctx.stroke();
+        ctx.fillText(formatRate(max * fraction, metric), left - 4, lineY + 3);
+    }
+    ctx.fillText('now', width - right, height - 4);
+    ctx.textAlign = 'left';
+    ctx.fillText(`-${windowKey}`, left, height - 4);
+    
+    if (!samples.length) {
+        ctx.textAlign = 'center';
+        ctx.fillText('Collecting samples…', left + plotWidth / 2, top + plotHeight / 2);
+        return;
+    }
+    
+    // RX and TX lines
+    const series = [[rxField, '#4CAF50', 'RX'], [txField, '#2196F3', 'TX']];
+    for (const [index, [field, color, label]] of series.entries()) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        for (const sample of samples) {
+            const value = sample.gap ? null : sample[field];
+            if (value === null || value === undefined) {
+                drawing = false;
+                continue;
+            }
+            if (drawing) ctx.lineTo(x(sample.time), y(value));
+            else ctx.moveTo(x(sample.time), y(value));
+            drawing = true;
+        }
+        ctx.stroke();
+        
+        ctx.fillStyle = color;
+        ctx.textAlign = 'right';
+        ctx.fillText(label, width - right - (series.length - 1 - index) * 24, top - 4);
+    }
+}
+
+/**
+ * Render MUP1 link counters on the diagnostics page
+ */
+export function renderLinkStats(app) {
+    const el = document.getElementById('link-stats');
+    const link = app.controller?.getLinkStatistics();
+    if (!el || !link) return;
+    const queue = app.controller.getQueueDepth();
+    const coap = app.controller.coap.getMessageStatistics();
+    
+    el.innerHTML = '<table class="table"><tbody>' +
+        `<tr><td>Frames OK</td><td>${link.framesOk}</td></tr>` +
+        `<tr><td>Checksum Errors</td><td>${link.checksumErrors}</td></tr>` +
+        `<tr><td>Overruns</td><td>${link.overruns}</td></tr>` +
+        `<tr><td>Discarded Bytes</td><td>${link.discardedBytes}</td></tr>` +
+        `<tr><td>CoAP In Flight</td><td>${queue.inFlight}</td></tr>` +
+        `<tr><td>CoAP Queued</td><td>${queue.queued} (${queue.byPriority.background} background)</td></tr>` +
+        `<tr><td>CoAP Retransmissions</td><td>${coap.retransmissions}</td></tr>` +
+        `<tr><td>CoAP Timeouts / Resets</td><td>${coap.timeouts} / ${coap.resets}</td></tr>` +
+        `<tr><td>CoAP Duplicates</td><td>${coap.duplicates}</td></tr>` +
+        '</tbody></table>';
+}
+
+/**
+ * Show the last CoAP console response in the selected format, next to a hex dump of its payload
+ */
+export function renderCoapResponse(app) {
+    const out = document.getElementById('coap-response');
+    const hex = document.getElementById('coap-response-hex');
+    const response = app.coapResponse;
+    if (!out || !hex || !response) return;
+    
+    const body = response.body || new Uint8Array(0);
+    const format = response.options?.contentFormat ?? null;
+    const mode = document.getElementById('coap-response-format')?.value || 'json';
+    const status = document.getElementById('coap-response-status');
+    if (status) {
+        status.textContent = `${formatCode(response.code)} · ` +
+            `${format === null ? 'no Content-Format' : CONTENT_FORMATS[format] || `Content-Format ${format}`} · ${body.length} bytes`;
+    }
+    
+    let text;
+    if (body.length === 0) {
+        text = '(no payload)';
+    } else if (mode === 'hex') {
+        text = Array.from(body, b => b.toString(16).padStart(2, '0')).join(' ');
+    } else if (mode === 'diag' && (format === null || [60, 63, 140, 141, 142].includes(format))) {
+        try {
+            text = diagnose(body, { indent: 2 });
+        } catch (error) {
+            text = `Not valid CBOR: ${error.message}`;
+        }
+    } else if (typeof response.payload === 'string') {
+        text = response.payload;
+    } else {
+        text = JSON.stringify(response.payload, jsonReplacer, 2);
+    }
+    
+    setPre(out, text);
+    setPre(hex, hexDump(body));
+    
+    // Error responses: what the device says went wrong
+    const errorsEl = document.getElementById('coap-response-errors');
+    if (errorsEl) {
+        const errors = response.code >> 5 === 2 ? [] : decodeErrors(response.payload, app.controller?.sids);
+        errorsEl.innerHTML = '';
+        for (const error of errors) {
+            const line = document.createElement('div');
+            line.className = 'coap-error';
+            line.textContent = [
+                error.tag && `error-tag: ${error.tag}`,
+                error.appTag && `error-app-tag: ${error.appTag}`,
+                error.path && `error-path: ${error.path}`,
+                error.message
+            ].filter(Boolean).join(' · ');
+            errorsEl.appendChild(line);
+        }
+    }
+}
+
+// JSON view of decoded CBOR: SID-keyed maps as objects, byte strings as hex
+function jsonReplacer(key, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Uint8Array) return `h'${Array.from(value, b => b.toString(16).padStart(2, '0')).join('')}'`;
+    if (value instanceof Map) {
+        return Object.fromEntries(Array.from(value, ([k, v]) => [typeof k === 'object' ? JSON.stringify(k) : String(k), v]));
+    }
+    if (value instanceof Tagged) return { tag: value.tag, value: value.value };
+    return value;
+}
+
+// Offset, 16 bytes and their ASCII per line
+function hexDump(bytes) {
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+        const row = bytes.subarray(offset, offset + 16);
+        const hex = Array.from(row, b => b.toString(16).padStart(2, '0')).join(' ');
+        const ascii = Array.from(row, b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+        lines.push(`${offset.toString(16).padStart(4, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+    }
+    return lines.join('\n');
+}
+
+function setPre(el, text) {
+    const pre = document.createElement('pre');
+    pre.textContent = text;
+    el.replaceChildren(pre);
+}
+
+/**
+ * List the modules whose SIDs are in use
+ */
+export function renderSidModules(app) {
+    const el = document.getElementById('sid-modules');
+    if (!el) return;
+    const sids = app.controller?.sids || app.sids;
+    const modules = [...sids.modules.values()];
+    
+    if (modules.length === 0) {
+        el.innerHTML = '<p>No SID files loaded</p>';
+        return;
+    }
+    const source = app.simulator ? ' (generated by the demo device)' : '';
+    el.innerHTML = `<p>${sids.size} data nodes${source}</p>` +
+        '<table class="table"><thead><tr><th>Module</th><th>Revision</th><th>SID Range</th><th>Items</th></tr></thead><tbody>' +
+        modules.map(m => {
+            const range = m.ranges.map(r => `${r['entry-point']}–${Number(r['entry-point']) + Number(r.size) - 1}`).join(', ');
+            return `<tr><td>${m.name}</td><td>${m.revision || '-'}</td><td>${range || '-'}</td><td>${m.itemCount}</td></tr>`;
+        }).join('') +
+        '</tbody></table>';
+}
+
+/**
+ * Fill the diff source selects (live device, backup file, snapshots) and the snapshot list
+ */
+export function renderDiffSources(app) {
+    for (const name of ['left', 'right']) {
+        const select = document.getElementById(`diff-${name}`);
+        if (!select) return;
+        const current = select.value || (name === 'left' ? 'device' : 'file');
+        select.innerHTML = '';
+        select.add(new Option('Live device (running)', 'device'));
+        select.add(new Option(app.diffFiles[name] ? `File: ${app.diffFiles[name].fileName}` : 'Backup file…', 'file'));
+        for (const snapshot of app.snapshots) {
+            select.add(new Option(`Snapshot: ${snapshot.name}`, `snapshot:${snapshot.id}`));
+        }
+        select.value = [...select.options].some(o => o.value === current) ? current : 'device';
+        const input = document.getElementById(`diff-${name}-file`);
+        if (input) input.style.display = select.value === 'file' ? '' : 'none';
+    }
+    
+    const list = document.getElementById('snapshot-list');
+    if (!list) return;
+    if (app.snapshots.length === 0) {
+        list.innerHTML = '<p>No snapshots</p>';
+        return;
+    }
+    const table = document.createElement('table');
+    table.className = 'table';
+    table.innerHTML = '<thead><tr><th>Name</th><th>Device</th><th>Taken</th><th></th></tr></thead>';
+    const body = table.createTBody();
+    for (const snapshot of app.snapshots) {
+        const row = body.insertRow();
+        const { deviceType, serialNumber } = snapshot.backup.device || {};
+        [snapshot.name, `${deviceType} ${serialNumber}`, new Date(snapshot.backup.created).toLocaleString()]
+            .forEach(text => { row.insertCell().textContent = text; });
+        const button = document.createElement('button');
+        button.textContent = 'Delete';
+        button.onclick = () => window.deleteSnapshot(snapshot.id);
+        row.insertCell().appendChild(button);
+    }
+    list.replaceChildren(table);
+}
+
+/**
+ * Show the last configuration diff, filtered by change type
+ */
+export function renderConfigDiff(app) {
+    const result = document.getElementById('diff-result');
+    const summaryEl = document.getElementById('diff-summary');
+    const diff = app.configDiff;
+    if (!result || !summaryEl) return;
+    if (!diff) {
+        summaryEl.textContent = 'Choose two sources and press Compare';
+        result.innerHTML = '';
+        return;
+    }
+    
+    const { added, removed, changed } = summarizeDiff(diff.changes);
+    summaryEl.textContent = diff.changes.length === 0
+        ? `${diff.left} and ${diff.right} are identical`
+        : `${diff.left} → ${diff.right}: ${added} added, ${removed} removed, ${changed} changed`;
+    
+    const shown = new Set([...document.querySelectorAll('.diff-filter:checked')].map(box => box.value));
+    const value = (v) => v === undefined ? '' : JSON.stringify(v, jsonReplacer);
+    const table = document.createElement('table');
+    table.className = 'table diff-table';
+    const head = table.createTHead().insertRow();
+    ['', 'Path', diff.left, diff.right].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    for (const change of diff.changes.filter(c => shown.has(c.type))) {
+        const row = body.insertRow();
+        row.className = `diff-${change.type}`;
+        [{ added: '+', removed: '−', changed: '~' }[change.type], change.path, value(change.left), value(change.right)]
+            .forEach(text => { row.insertCell().textContent = text; });
+    }
+    result.replaceChildren(table);
+}
+
 export default { initPages };
@@ -0,0 +1,219 @@
+/**
+ * Interface Statistics History
+ * Keeps the last hour of counter samples and turns them into rates (bits/s,
+ * packets/s, errors/s) per port. Counters are cumulative, so a rate needs two
+ * samples: a counter that goes down either wrapped (32- or 64-bit) or was
+ * reset, e.g. by a device restart; after a reset the port has no rate until
+ * the next sample.
+ */
+
+// Chart windows (ms)
+export const RATE_WINDOWS = {
+    '1m': 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+};
+
+// Rate fields of a sample per metric: [receive, transmit]
+export const RATE_METRICS = {
+    bps: ['rxBps', 'txBps'],
+    pps: ['rxPps', 'txPps'],
+    errors: ['rxErrors', 'txErrors']
+};
+
+const RX_PACKETS = ['in-unicast-pkts', 'in-broadcast-pkts', 'in-multicast-pkts'];
+const TX_PACKETS = ['out-unicast-pkts', 'out-broadcast-pkts', 'out-multicast-pkts'];
+
+/**
+ * Fixed-size buffer that overwrites its oldest item
+ */
+export class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        this.items[(this.start + this.length) % this.capacity] = item;
+        if (this.length < this.capacity) this.length++;
+        else this.start = (this.start + 1) % this.capacity;
+    }
+
+    last() {
+        return this.length ? this.items[(this.start + this.length - 1) % this.capacity] : undefined;
+    }
+
+    /**
+     * Items oldest first
+     */
+    toArray() {
+        return Array.from({ length: this.length }, (_, i) => this.items[(this.start + i) % this.capacity]);
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+/**
+ * Increase of a cumulative counter between two readings
+ * A decrease counts as a wrap only when the previous value was in the top
+ * quarter of the 32- or 64-bit range; otherwise the counter was reset.
+ * @param {number|bigint|string} previous
+ * @param {number|bigint|string} current - counter64 values arrive as strings in JSON (RFC 7951)
+ * @returns {bigint|null} - null after a reset
+ */
+export function counterDelta(previous, current) {
+    const before = BigInt(previous);
+    const after = BigInt(current);
+    if (after >= before) return after - before;
+
+    for (const bits of [32n, 64n]) {
+        const modulus = 1n << bits;
+        if (before < modulus && before >= modulus - (modulus >> 2n)) {
+            return modulus - before + after;
+        }
+    }
+    return null;
+}
+
+export class StatsHistory {
+    /**
+     * @param {Object} options - { capacity: samples kept (default one hour at one per second),
+     *   minInterval: samples closer than this to the previous one are ignored (ms) }
+     */
+    constructor({ capacity = 3600, minInterval = 1000 } = {}) {
+        this.samples = new RingBuffer(capacity);
+        this.minInterval = minInterval;
+        this.previous = null;          // { time, uptime, ports: { name: counters } } of the last reading
+    }
+
+    /**
+     * Add a statistics reading
+     * @param {Object} stats - { ports: [{ name, ...counters }], system: { uptime } } as
+     *   returned by getStatistics()
+     * @param {number} time - Reading time (ms)
+     * @returns {boolean} - false when the reading came too soon after the previous one
+     */
+    add(stats, time = Date.now()) {
+        const previous = this.previous;
+        if (previous && time - previous.time < this.minInterval) return false;
+
+        const uptime = stats.system?.uptime ?? null;
+        // Uptime going backwards: the device restarted and all counters started again
+        const restarted = previous?.uptime != null && uptime != null && uptime < previous.uptime;
+
+        const ports = {};
+        const current = { time, uptime, ports: {} };
+        for (const port of stats.ports || []) {
+            const name = port.name ?? String(port.index);
+            current.ports[name] = port;
+            const before = previous?.ports[name];
+            ports[name] = before && !restarted && !discontinued(before, port)
+                ? portRates(before, port, (time - previous.time) / 1000) : null;
+        }
+
+        this.previous = current;
+        if (previous) this.samples.push({ time, ports });
+        return true;
+    }
+
+    /**
+     * Rates of one port, or of all ports added together, within a window
+     * @param {string|null} port - Interface name, null for the total
+     * @param {number} window - ms, e.g. RATE_WINDOWS['15m']
+     * @returns {Array<{time, rxBps, txBps, rxPps, txPps, rxErrors, txErrors}|{time, gap: true}>} - A gap
+     *   marks a sample without a rate (first reading after a reset)
+     */
+    series(port = null, window = RATE_WINDOWS['1m'], now = Date.now()) {
+        return this.samples.toArray()
+            .filter(sample => sample.time >= now - window)
+            .map(sample => {
+                const rates = port === null ? totalRates(sample.ports) : sample.ports[port];
+                return rates ? { time: sample.time, ...rates } : { time: sample.time, gap: true };
+            });
+    }
+
+    /**
+     * Latest rates of a port (null for the total), null before the second reading
+     */
+    latest(port = null) {
+        const sample = this.samples.last();
+        if (!sample) return null;
+        return port === null ? totalRates(sample.ports) : sample.ports[port] ?? null;
+    }
+
+    clear() {
+        this.samples.clear();
+        this.previous = null;
+    }
+}
+
+// The device reports a counter discontinuity (ietf-interfaces discontinuity-time)
+function discontinued(before, after) {
+    return before['discontinuity-time'] !== undefined && before['discontinuity-time'] !== after['discontinuity-time'];
+}
+
+function portRates(before, after, seconds) {
+    if (!(seconds > 0)) return null;
+
+    let reset = false;
+    const increase = (counters) => {
+        let total = null;
+        for (const counter of counters) {
+            if (before[counter] === undefined || after[counter] === undefined) continue;
+            const delta = counterDelta(before[counter], after[counter]);
+            if (delta === null) reset = true;
+            else total = (total ?? 0) + Number(delta);
+        }
+        return total;
+    };
+    const perSecond = (value, scale = 1) => value === null ? null : value * scale / seconds;
+
+    const rates = {
+        rxBps: perSecond(increase(['in-octets']), 8),
+        txBps: perSecond(increase(['out-octets']), 8),
+        rxPps: perSecond(increase(RX_PACKETS)),
+        txPps: perSecond(increase(TX_PACKETS)),
+        rxErrors: perSecond(increase(['in-errors'])),
+        txErrors: perSecond(increase(['out-errors']))
+    };
+    return reset ? null : rates;
+}
+
+function totalRates(ports) {
+    const measured = Object.values(ports).filter(Boolean);
+    if (!measured.length) return null;
+
+    const total = {};
+    for (const field of Object.values(RATE_METRICS).flat()) {
+        const values = measured.map(rates => rates[field]).filter(value => value !== null);
+        total[field] = values.length ? values.reduce((sum, value) => sum + value, 0) : null;
+    }
+    return total;
+}
+
+/**
+ * Rate with a unit for display, e.g. "12.3 Mbit/s", "850 pkt/s"
+ * @param {number|null} value
+ * @param {'bps'|'pps'|'errors'} metric
+ */
+export function formatRate(value, metric = 'bps') {
+    if (value === null || value === undefined) return '-';
+    const unit = { bps: 'bit/s', pps: 'pkt/s', errors: 'err/s' }[metric];
+    const prefixes = metric === 'bps' ? ['', 'k', 'M', 'G', 'T'] : ['', 'k', 'M'];
+    let scaled = value;
+    let prefix = 0;
+    while (Math.abs(scaled) >= 1000 && prefix < prefixes.length - 1) {
+        scaled /= 1000;
+        prefix++;
+    }
+    const digits = scaled === 0 || Math.abs(scaled) >= 100 ? 0 : Math.abs(scaled) >= 10 ? 1 : 2;
+    return `${scaled.toFixed(digits)} ${prefixes[prefix]}${unit}`;
+}
+
+export default StatsHistory;
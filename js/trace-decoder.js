@@ -0,0 +1,153 @@
+/**
+ * Firmware Trace ('T' frame) Decoder
+ * Turns MUP1 trace payloads into entries with level, module tag and text.
+ * Accepted line prefixes (all optional, in this order):
+ *   <N>                 syslog priority, severity = N & 7
+ *   E: / [W] / ERROR:   severity letter or word
+ *   [module] / module:  module tag
+ */
+
+export const TRACE_LEVELS = ['emerg', 'alert', 'crit', 'error', 'warning', 'notice', 'info', 'debug'];
+
+const LEVEL_ALIASES = {
+    emerg: 0, emergency: 0, f: 0, fatal: 0,
+    alert: 1, a: 1,
+    crit: 2, critical: 2, c: 2,
+    err: 3, error: 3, e: 3,
+    warn: 4, warning: 4, w: 4,
+    notice: 5, n: 5,
+    info: 6, i: 6,
+    debug: 7, dbg: 7, d: 7, trace: 7, t: 7, v: 7
+};
+
+const PRIORITY_RE = /^<(\d{1,3})>\s*/;
+const LEVEL_WORD_RE = /^\[?(emerg(?:ency)?|fatal|alert|crit(?:ical)?|err(?:or)?|warn(?:ing)?|notice|info|debug|dbg|trace)\]?(?::\s*|\s+|$)/i;
+const LEVEL_LETTER_RE = /^(?:\[([FACEWNIDTV])\]\s*|([FACEWNIDTV])(?:[:/]\s*|\s+(?=\[)))/;
+const MODULE_BRACKET_RE = /^\[([\w.-]{1,32})\]\s*/;
+const MODULE_COLON_RE = /^([a-z][\w.-]{0,31}):\s+/i;
+
+/**
+ * Decode a trace frame payload into one entry per line
+ * @param {Uint8Array} data - 'T' frame payload
+ * @param {number} time - Receive timestamp (ms)
+ * @returns {Array<{time: number, level: string|null, module: string|null, text: string}>}
+ */
+export function decodeTraceFrame(data, time = Date.now()) {
+    const text = new TextDecoder().decode(data);
+    return text
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+$/, ''))
+        .filter(line => line.length > 0)
+        .map(line => parseTraceLine(line, time));
+}
+
+/**
+ * Parse a single trace line
+ */
+export function parseTraceLine(line, time = Date.now()) {
+    let rest = line;
+    let level = null;
+    let module = null;
+
+    const priority = rest.match(PRIORITY_RE);
+    if (priority) {
+        level = TRACE_LEVELS[parseInt(priority[1], 10) & 7];
+        rest = rest.slice(priority[0].length);
+    }
+
+    if (level === null) {
+        const word = rest.match(LEVEL_WORD_RE);
+        const letter = word ? null : rest.match(LEVEL_LETTER_RE);
+        const match = word || letter;
+        if (match) {
+            const key = (word ? word[1] : letter[1] || letter[2]).toLowerCase();
+            level = TRACE_LEVELS[LEVEL_ALIASES[key]];
+            rest = rest.slice(match[0].length);
+        }
+    }
+
+    const tag = rest.match(MODULE_BRACKET_RE) || rest.match(MODULE_COLON_RE);
+    if (tag) {
+        module = tag[1].toLowerCase();
+        rest = rest.slice(tag[0].length);
+    }
+
+    return { time, level, module, text: rest };
+}
+
+/**
+ * Get numeric severity for a level name (lower is more severe)
+ */
+export function levelSeverity(level) {
+    const index = TRACE_LEVELS.indexOf(level);
+    return index === -1 ? TRACE_LEVELS.indexOf('info') : index;
+}
+
+/**
+ * Bounded store of trace entries with filtering and export
+ */
+export class TraceLog {
+    constructor(capacity = 5000) {
+        this.capacity = capacity;
+        this.entries = [];
+        this.modules = new Set();
+        this.dropped = 0;
+    }
+
+    add(entries) {
+        for (const entry of entries) {
+            this.entries.push(entry);
+            if (entry.module) this.modules.add(entry.module);
+        }
+        if (this.entries.length > this.capacity) {
+            const excess = this.entries.length - this.capacity;
+            this.entries.splice(0, excess);
+            this.dropped += excess;
+        }
+    }
+
+    clear() {
+        this.entries = [];
+        this.modules.clear();
+        this.dropped = 0;
+    }
+
+    /**
+     * Filter entries
+     * @param {Object} filter - { module, maxLevel, search }
+     *   module: module tag or '' for all
+     *   maxLevel: least severe level to include (e.g. 'warning' keeps emerg..warning)
+     *   search: case-insensitive substring
+     */
+    filter({ module = '', maxLevel = 'debug', search = '' } = {}) {
+        const limit = levelSeverity(maxLevel);
+        const needle = search.toLowerCase();
+
+        return this.entries.filter(entry =>
+            (!module || entry.module === module) &&
+            levelSeverity(entry.level) <= limit &&
+            (!needle || entry.text.toLowerCase().includes(needle) || (entry.module || '').includes(needle))
+        );
+    }
+
+    /**
+     * Export entries as plain text lines
+     */
+    toText(entries = this.entries) {
+        return entries.map(e => {
+            const time = new Date(e.time).toISOString();
+            const level = (e.level || '-').toUpperCase().padEnd(7);
+            const module = e.module ? `[${e.module}] ` : '';
+            return `${time} ${level} ${module}${e.text}`;
+        }).join('\n');
+    }
+
+    /**
+     * Export entries as JSON
+     */
+    toJSON(entries = this.entries) {
+        return JSON.stringify(entries.map(e => ({ ...e, time: new Date(e.time).toISOString() })), null, 2);
+    }
+}
+
+export default { decodeTraceFrame, parseTraceLine, levelSeverity, TraceLog, TRACE_LEVELS };
@@ -0,0 +1,118 @@
+/**
+ * Transport base class for MUP1 links
+ *
+ * A transport moves raw bytes between the host and a VelocityDRIVE device.
+ * The controller only relies on this interface: connect(), disconnect(),
+ * sendBytes(), onData() (complete MUP1 frames) and onStatus().
+ */
+
+import { MUP1StreamDecoder } from './velocitydrive-protocol.js';
+
+export class Transport {
+    constructor() {
+        this.isConnected = false;
+        this.decoder = new MUP1StreamDecoder();
+        this.onDataCallback = null;
+        this.onStatusCallback = null;
+
+        this.decoder.on('frame', (frame) => {
+            if (this.onDataCallback) {
+                this.onDataCallback(frame.raw);
+            }
+        });
+    }
+
+    /**
+     * Open the link
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name}.connect() not implemented`);
+    }
+
+    /**
+     * Close the link
+     */
+    async disconnect() {
+        throw new Error(`${this.constructor.name}.disconnect() not implemented`);
+    }
+
+    /**
+     * Send raw bytes to device
+     */
+    async sendBytes(bytes) {
+        throw new Error(`${this.constructor.name}.sendBytes() not implemented`);
+    }
+
+    /**
+     * Send data to device
+     */
+    async send(data) {
+        const bytes = data instanceof Uint8Array ? data : new TextEncoder().encode(String(data));
+        await this.sendBytes(bytes);
+    }
+
+    /**
+     * Short human readable description of the link
+     */
+    describe() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Mark the link as open and start a fresh decoder
+     */
+    setConnected() {
+        this.decoder.reset();
+        this.decoder.resetStatistics();
+        this.isConnected = true;
+        this.updateStatus('connected');
+    }
+
+    /**
+     * Mark the link as closed
+     */
+    setDisconnected() {
+        this.isConnected = false;
+        this.updateStatus('disconnected');
+    }
+
+    /**
+     * Handle incoming data
+     */
+    handleIncomingData(bytes) {
+        // Frames are reassembled by the MUP1 stream decoder
+        this.decoder.push(bytes);
+    }
+
+    /**
+     * Get MUP1 link counters (frames ok, checksum errors, overruns, discarded bytes)
+     */
+    getLinkStatistics() {
+        return this.decoder.getStatistics();
+    }
+
+    /**
+     * Set data callback
+     */
+    onData(callback) {
+        this.onDataCallback = callback;
+    }
+
+    /**
+     * Set status callback
+     */
+    onStatus(callback) {
+        this.onStatusCallback = callback;
+    }
+
+    /**
+     * Update connection status
+     */
+    updateStatus(status, message = '') {
+        if (this.onStatusCallback) {
+            this.onStatusCallback(status, message);
+        }
+    }
+}
+
+export default Transport;
@@ -60,8 +60,7 @@ export class MUP1Protocol {
         }
         
         // Calculate and add checksum
-        const checksum = this.calculateChecksum(frame);
-        const checksumStr = checksum.toString(16).toUpperCase().padStart(4, '0');
+        const checksumStr = this.formatChecksum(this.calculateChecksum(frame));
         for (const char of checksumStr) {
             frame.push(char.charCodeAt(0));
         }
@@ -75,7 +74,8 @@ export class MUP1Protocol {
      * @returns {Object} - Decoded frame with type and data
      */
     decodeFrame(buffer) {
-        if (buffer.length < 8) {
+        // SOF + type + EOF + 4 checksum digits
+        if (buffer.length < 7) {
             throw new Error('Frame too short');
         }
         
@@ -88,19 +88,17 @@ export class MUP1Protocol {
         let i = 2;
         let escaping = false;
         
-        // Decode data until EOF
-        while (i < buffer.length - 4) {
+        // Decode data until the first unescaped EOF
+        while (i < buffer.length) {
             const byte = buffer[i];
             
-            if (byte === this.EOF) {
-                break;
-            }
-            
             if (escaping) {
                 data.push(this.unescapeByte(byte));
                 escaping = false;
             } else if (byte === this.ESCAPE) {
                 escaping = true;
+            } else if (byte === this.EOF) {
+                break;
             } else {
                 data.push(byte);
             }
@@ -108,9 +106,16 @@ export class MUP1Protocol {
             i++;
         }
         
-        // Verify checksum
-        const frameEnd = buffer.indexOf(this.EOF, 2);
-        const checksumStart = buffer[frameEnd + 1] === this.EOF ? frameEnd + 2 : frameEnd + 1;
+        if (i >= buffer.length) {
+            throw new Error('Missing end of frame');
+        }
+        
+        // Verify checksum (covers SOF through the last EOF)
+        const frameEnd = buffer[i + 1] === this.EOF ? i + 1 : i;
+        const checksumStart = frameEnd + 1;
+        if (buffer.length < checksumStart + 4) {
+            throw new Error('Frame too short');
+        }
         const providedChecksum = String.fromCharCode(
             buffer[checksumStart],
             buffer[checksumStart + 1],
@@ -119,10 +124,12 @@ export class MUP1Protocol {
         );
         
         const frameForChecksum = buffer.slice(0, frameEnd + 1);
-        const calculatedChecksum = this.calculateChecksum(frameForChecksum).toString(16).toUpperCase().padStart(4, '0');
+        const calculatedChecksum = this.formatChecksum(this.calculateChecksum(frameForChecksum));
         
-        if (providedChecksum !== calculatedChecksum) {
-            console.warn('Checksum mismatch:', providedChecksum, 'vs', calculatedChecksum);
+        if (providedChecksum.toUpperCase() !== calculatedChecksum) {
+            const error = new Error(`Checksum mismatch: ${providedChecksum} vs ${calculatedChecksum}`);
+            error.code = 'CHECKSUM';
+            throw error;
         }
         
         return {
@@ -151,7 +158,7 @@ export class MUP1Protocol {
             0x3C: 0x3C, // '<' -> 0x3C
             0x5C: 0x5C  // '\\' -> 0x5C
         };
-        return reverseMap[escapedByte] || escapedByte;
+        return escapedByte in reverseMap ? reverseMap[escapedByte] : escapedByte;
     }
 
     /**
@@ -177,6 +184,13 @@ export class MUP1Protocol {
         return (~sum) & 0xFFFF;
     }
 
+    /**
+     * Format checksum as the 4 ASCII hex digits sent on the wire
+     */
+    formatChecksum(checksum) {
+        return checksum.toString(16).toUpperCase().padStart(4, '0');
+    }
+
     /**
      * Create a ping frame
      */
@@ -227,4 +241,218 @@ export class MUP1Protocol {
     }
 }
 
+/**
+ * Incremental MUP1 stream decoder
+ *
+ * Feeds raw serial bytes through a small state machine that understands
+ * escape sequences, so an escaped '<' or '>' inside a payload never ends a
+ * frame. Garbage between frames is dropped, a new SOF inside a frame
+ * resynchronises, frames with a bad checksum are rejected and the buffer
+ * is bounded by maxFrameSize.
+ *
+ * Events: 'frame', 'checksum-error', 'overrun', 'discard'
+ */
+export class MUP1StreamDecoder {
+    constructor(options = {}) {
+        this.protocol = options.protocol || new MUP1Protocol();
+        this.maxFrameSize = options.maxFrameSize || 8192;
+        this.callbacks = new Map();
+        this.resetStatistics();
+        this.reset();
+    }
+
+    /**
+     * Drop any partially received frame
+     */
+    reset() {
+        this.state = 'hunt';
+        this.raw = [];
+        this.checksumChars = 0;
+    }
+
+    /**
+     * Reset counters
+     */
+    resetStatistics() {
+        this.stats = {
+            framesOk: 0,
+            checksumErrors: 0,
+            overruns: 0,
+            discardedBytes: 0
+        };
+    }
+
+    /**
+     * Get a copy of the counters
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Feed received bytes into the decoder
+     * @param {Uint8Array} bytes - Raw bytes as read from the link
+     */
+    push(bytes) {
+        let discarded = 0;
+
+        for (const byte of bytes) {
+            discarded += this.consume(byte);
+
+            if (this.raw.length > this.maxFrameSize) {
+                this.stats.overruns++;
+                discarded += this.raw.length;
+                this.emit('overrun', { size: this.raw.length, limit: this.maxFrameSize });
+                this.reset();
+            }
+        }
+
+        if (discarded > 0) {
+            this.stats.discardedBytes += discarded;
+            this.emit('discard', discarded);
+        }
+    }
+
+    /**
+     * Run one byte through the state machine
+     * @returns {number} - Number of bytes discarded by this step
+     */
+    consume(byte) {
+        const p = this.protocol;
+
+        switch (this.state) {
+            case 'hunt':
+                if (byte === p.SOF) {
+                    this.begin();
+                    return 0;
+                }
+                return 1;
+
+            case 'type':
+                if (this.isFrameType(byte)) {
+                    this.raw.push(byte);
+                    this.state = 'data';
+                    return 0;
+                }
+                return this.resync(byte);
+
+            case 'data':
+                if (byte === p.SOF) {
+                    return this.resync(byte);
+                }
+                this.raw.push(byte);
+                if (byte === p.ESCAPE) {
+                    this.state = 'escape';
+                } else if (byte === p.EOF) {
+                    this.state = 'eof';
+                }
+                return 0;
+
+            case 'escape':
+                if (!Object.values(p.ESCAPE_MAP).includes(byte)) {
+                    return this.resync(byte);
+                }
+                this.raw.push(byte);
+                this.state = 'data';
+                return 0;
+
+            case 'eof':
+                if (byte === p.EOF) {
+                    this.raw.push(byte);
+                    this.state = 'checksum';
+                    return 0;
+                }
+                this.state = 'checksum';
+                return this.consume(byte);
+
+            case 'checksum':
+                if (!this.isHexDigit(byte)) {
+                    return this.resync(byte);
+                }
+                this.raw.push(byte);
+                if (++this.checksumChars === 4) {
+                    this.complete();
+                }
+                return 0;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Start collecting a new frame at SOF
+     */
+    begin() {
+        this.raw = [this.protocol.SOF];
+        this.checksumChars = 0;
+        this.state = 'type';
+    }
+
+    /**
+     * Abandon the current frame; restart if the offending byte is a SOF
+     * @returns {number} - Number of bytes discarded
+     */
+    resync(byte) {
+        const dropped = this.raw.length;
+        this.reset();
+        if (byte === this.protocol.SOF) {
+            this.begin();
+            return dropped;
+        }
+        return dropped + 1;
+    }
+
+    /**
+     * Validate and emit a fully received frame
+     */
+    complete() {
+        const raw = new Uint8Array(this.raw);
+        this.reset();
+
+        try {
+            const decoded = this.protocol.decodeFrame(raw);
+            this.stats.framesOk++;
+            this.emit('frame', { ...decoded, raw });
+        } catch (error) {
+            this.stats.checksumErrors++;
+            this.emit('checksum-error', { raw, message: error.message });
+        }
+    }
+
+    isFrameType(byte) {
+        return Object.values(this.protocol.COMMANDS).includes(byte);
+    }
+
+    isHexDigit(byte) {
+        return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x46) || (byte >= 0x61 && byte <= 0x66);
+    }
+
+    /**
+     * Event emitter functionality
+     */
+    on(event, callback) {
+        if (!this.callbacks.has(event)) {
+            this.callbacks.set(event, []);
+        }
+        this.callbacks.get(event).push(callback);
+    }
+
+    off(event, callback) {
+        const callbacks = this.callbacks.get(event);
+        if (callbacks) {
+            const index = callbacks.indexOf(callback);
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, ...args) {
+        const callbacks = this.callbacks.get(event);
+        if (callbacks) {
+            callbacks.forEach(cb => cb(...args));
+        }
+    }
+}
+
 export default MUP1Protocol;
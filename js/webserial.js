@@ -2,18 +2,40 @@
  * WebSerial API Wrapper for LAN9662 Communication
  */
 
-export class WebSerialConnection {
-    constructor() {
+import Transport from './transport.js';
+import MUP1Protocol, { MUP1StreamDecoder } from './velocitydrive-protocol.js';
+
+const REMEMBERED_PORT_KEY = 'mup1.serialPort';
+const SETTINGS_KEY = 'mup1.serialSettings';
+
+// Tried in order by auto-detect (after the last rate that worked)
+export const COMMON_BAUD_RATES = [115200, 921600, 460800, 230400, 57600, 38400, 19200, 9600];
+
+export const DEFAULT_SERIAL_SETTINGS = {
+    baudRate: 115200,
+    autoBaud: false,
+    flowControl: 'none',
+    bufferSize: 255,
+    choosePort: false
+};
+
+export class WebSerialConnection extends Transport {
+    constructor(settings = {}) {
+        super();
+        this.settings = { ...DEFAULT_SERIAL_SETTINGS, ...settings };
         this.port = null;
         this.reader = null;
         this.writer = null;
         this.rawWriter = null; // For binary data
-        this.readableStreamClosed = null;
-        this.writableStreamClosed = null;
-        this.isConnected = false;
-        this.buffer = new Uint8Array(0);
-        this.onDataCallback = null;
-        this.onStatusCallback = null;
+        this.portOptions = null;
+        this.closing = false;
+        this.reconnecting = false;
+        this.autoReconnect = true;
+        this.reconnectTimeout = 30000;
+        this.onSerialConnect = () => this.wakeReconnect?.();
+        this.onSerialDisconnect = (event) => {
+            if (event.target === this.port) this.handlePortLost();
+        };
     }
 
     /**
@@ -25,36 +47,48 @@ export class WebSerialConnection {
 
     /**
      * Connect to serial device
+     * Reopens the last used port if it is still granted, otherwise asks the user.
+     * @param {Object|number} settings - { baudRate, autoBaud, flowControl, bufferSize, choosePort } or a baud rate
      */
-    async connect(baudRate = 115200) {
+    async connect(settings = {}) {
+        if (typeof settings === 'number') {
+            settings = { baudRate: settings };
+        }
+        Object.assign(this.settings, settings);
+        const { choosePort, autoBaud, flowControl, bufferSize } = this.settings;
+
         try {
-            // Request port access
-            this.port = await navigator.serial.requestPort();
+            // Reuse a previously granted port, or request port access
+            this.port = (!choosePort && await WebSerialConnection.findRememberedPort())
+                || await navigator.serial.requestPort();
             
-            // Open port with specified settings
-            await this.port.open({
-                baudRate: baudRate,
+            this.portOptions = {
+                baudRate: this.settings.baudRate,
                 dataBits: 8,
                 stopBits: 1,
                 parity: 'none',
-                flowControl: 'none'
-            });
+                flowControl: flowControl,
+                bufferSize: bufferSize
+            };
+            this.closing = false;
 
-            // Setup raw byte streams (binary-safe)
-            this.reader = this.port.readable.getReader();
-            this.writer = this.port.writable.getWriter();
+            if (autoBaud) {
+                this.portOptions.baudRate = await this.detectBaudRate();
+                this.settings.baudRate = this.portOptions.baudRate;
+            }
 
-            this.isConnected = true;
-            this.updateStatus('connected');
+            await this.openPort();
             
-            // Start reading
-            this.readLoop();
+            WebSerialConnection.rememberPort(this.port);
+            WebSerialConnection.saveSettings(this.settings);
+            navigator.serial.addEventListener('connect', this.onSerialConnect);
+            navigator.serial.addEventListener('disconnect', this.onSerialDisconnect);
             
             // Get port info
             const info = this.port.getInfo();
-            console.log('Connected to device:', info);
+            console.log('Connected to device:', info, 'at', this.portOptions.baudRate, 'baud');
             
-            return info;
+            return { ...info, baudRate: this.portOptions.baudRate };
         } catch (error) {
             console.error('Connection failed:', error);
             this.updateStatus('error', error.message);
@@ -63,29 +97,111 @@ export class WebSerialConnection {
     }
 
     /**
-     * Disconnect from serial device
+     * Try common baud rates until the device answers a MUP1 ping
+     * @returns {number} - Working baud rate
      */
-    async disconnect() {
-        try {
-            if (this.reader) {
-                await this.reader.cancel();
-                await this.readableStreamClosed.catch(() => {});
-                this.reader = null;
-            }
+    async detectBaudRate(candidates = COMMON_BAUD_RATES) {
+        const rates = [...new Set([this.settings.baudRate, ...candidates])];
 
-            if (this.writer) {
-                await this.writer.close();
-                await this.writableStreamClosed.catch(() => {});
-                this.writer = null;
+        for (const baudRate of rates) {
+            this.updateStatus('detecting', `Trying ${baudRate} baud`);
+            if (await this.probeBaudRate(baudRate)) {
+                return baudRate;
             }
+        }
+        throw new Error(`No MUP1 response at ${rates.join(', ')} baud`);
+    }
+
+    /**
+     * Open the port at one rate, send a ping and wait for a valid P or A frame
+     */
+    async probeBaudRate(baudRate, timeout = 500) {
+        await this.port.open({ ...this.portOptions, baudRate });
+        const reader = this.port.readable.getReader();
+        const writer = this.port.writable.getWriter();
+        const protocol = new MUP1Protocol();
+        const decoder = new MUP1StreamDecoder({ protocol });
+        let answered = false;
+        decoder.on('frame', (frame) => {
+            if (frame.type === 'P' || frame.type === 'A') answered = true;
+        });
 
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
+        try {
+            // Two attempts: the first may be garbled by leftovers from another rate
+            for (let attempt = 0; attempt < 2 && !answered; attempt++) {
+                await writer.write(protocol.createPing());
+                const deadline = Date.now() + timeout;
+                while (!answered && Date.now() < deadline) {
+                    const result = await Promise.race([
+                        reader.read(),
+                        new Promise(resolve => setTimeout(() => resolve(null), deadline - Date.now()))
+                    ]);
+                    if (!result || result.done) break;
+                    decoder.push(result.value);
+                }
             }
+        } finally {
+            await reader.cancel().catch(() => {});
+            reader.releaseLock();
+            writer.releaseLock();
+            await this.port.close().catch(() => {});
+        }
+
+        return answered;
+    }
+
+    /**
+     * Open this.port with the stored settings and start reading
+     */
+    async openPort() {
+        // Open port with specified settings
+        await this.port.open(this.portOptions);
+
+        // Setup raw byte streams (binary-safe)
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+
+        this.setConnected();
+        
+        // Start reading
+        this.readLoop();
+    }
+
+    /**
+     * Release streams and close the port, ignoring errors from a vanished device
+     */
+    async closePort() {
+        const { reader, writer, port } = this;
+        this.reader = null;
+        this.writer = null;
+
+        if (reader) {
+            await reader.cancel().catch(() => {});
+            reader.releaseLock();
+        }
+        if (writer) {
+            await writer.close().catch(() => {});
+            writer.releaseLock();
+        }
+        if (port) {
+            await port.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Disconnect from serial device
+     */
+    async disconnect() {
+        try {
+            this.closing = true;
+            this.wakeReconnect?.();
+            navigator.serial.removeEventListener('connect', this.onSerialConnect);
+            navigator.serial.removeEventListener('disconnect', this.onSerialDisconnect);
+
+            await this.closePort();
+            this.port = null;
 
-            this.isConnected = false;
-            this.updateStatus('disconnected');
+            this.setDisconnected();
         } catch (error) {
             console.error('Disconnect error:', error);
             this.updateStatus('error', error.message);
@@ -93,19 +209,69 @@ export class WebSerialConnection {
     }
 
     /**
-     * Send data to device
+     * The port went away (board reset, cable pulled): wait for it to come back
      */
-    async send(data) {
-        if (!this.writer) {
-            throw new Error('Not connected');
+    async handlePortLost() {
+        if (this.closing || this.reconnecting) return;
+
+        this.reconnecting = true;
+        this.isConnected = false;
+        await this.closePort();
+
+        if (!this.autoReconnect) {
+            this.reconnecting = false;
+            this.port = null;
+            this.setDisconnected();
+            return;
         }
 
+        this.updateStatus('reconnecting');
         try {
-            const bytes = data instanceof Uint8Array ? data : new TextEncoder().encode(String(data));
-            await this.writer.write(bytes);
-        } catch (error) {
-            console.error('Send error:', error);
-            throw error;
+            await this.reconnect();
+        } finally {
+            this.reconnecting = false;
+        }
+    }
+
+    /**
+     * Reopen the same device once it is available again
+     */
+    async reconnect() {
+        const lost = this.port;
+        const deadline = Date.now() + this.reconnectTimeout;
+
+        while (!this.closing && Date.now() < deadline) {
+            // Wait for a serial 'connect' event, polling as a fallback
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, 1000);
+                this.wakeReconnect = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            this.wakeReconnect = null;
+            if (this.closing) return;
+
+            const ports = await WebSerialConnection.getPorts();
+            const candidate = ports.find(p => p === lost) || ports.find(p => samePort(p.getInfo(), lost.getInfo()));
+            if (!candidate) continue;
+
+            try {
+                this.port = candidate;
+                await this.openPort();
+                this.updateStatus('reconnected');
+                return;
+            } catch (error) {
+                // Device may still be enumerating; try again
+                console.warn('Reconnect attempt failed:', error.message);
+                await this.closePort();
+            }
+        }
+
+        if (!this.closing) {
+            this.port = null;
+            this.setDisconnected();
+            this.updateStatus('error', 'Device did not come back');
         }
     }
 
@@ -128,9 +294,10 @@ export class WebSerialConnection {
      * Read loop for incoming data
      */
     async readLoop() {
-        while (this.reader) {
+        const reader = this.reader;
+        while (reader && this.reader === reader) {
             try {
-                const { value, done } = await this.reader.read();
+                const { value, done } = await reader.read();
                 if (done) {
                     break;
                 }
@@ -144,6 +311,11 @@ export class WebSerialConnection {
                 break;
             }
         }
+
+        // Stream ended without disconnect(): the device went away
+        if (this.reader === reader && !this.closing && this.isConnected) {
+            this.handlePortLost();
+        }
     }
 
     /**
@@ -164,63 +336,72 @@ export class WebSerialConnection {
     }
 
     /**
-     * Handle incoming data
+     * Describe the open port
      */
-    handleIncomingData(bytes) {
-        // Append to buffer
-        const newBuffer = new Uint8Array(this.buffer.length + bytes.length);
-        newBuffer.set(this.buffer);
-        newBuffer.set(bytes, this.buffer.length);
-        this.buffer = newBuffer;
-
-        // Look for complete frames (starting with '>' and containing '<')
-        while (true) {
-            const startIndex = this.buffer.indexOf(0x3E); // '>'
-            if (startIndex === -1) break;
-
-            const endIndex = this.buffer.indexOf(0x3C, startIndex); // '<'
-            if (endIndex === -1) break;
-
-            // Look for checksum (4 bytes after EOF)
-            let checksumEnd = endIndex + 5; // Single EOF + 4 checksum bytes
-            if (this.buffer[endIndex + 1] === 0x3C) {
-                checksumEnd = endIndex + 6; // Double EOF + 4 checksum bytes
-            }
+    describe() {
+        const info = this.port?.getInfo?.();
+        const rate = this.portOptions ? ` @ ${this.portOptions.baudRate}` : '';
+        if (info?.usbVendorId) {
+            const hex = (v) => v.toString(16).padStart(4, '0');
+            return `USB ${hex(info.usbVendorId)}:${hex(info.usbProductId)}${rate}`;
+        }
+        return `Serial Port${rate}`;
+    }
 
-            if (this.buffer.length < checksumEnd) break;
+    /**
+     * Find the last used port among the ports this origin was granted
+     */
+    static async findRememberedPort() {
+        const ports = await WebSerialConnection.getPorts();
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(REMEMBERED_PORT_KEY));
+        } catch {
+            saved = null;
+        }
 
-            // Extract frame
-            const frame = this.buffer.slice(startIndex, checksumEnd);
-            this.buffer = this.buffer.slice(checksumEnd);
+        if (saved) {
+            const match = ports.find(p => samePort(p.getInfo(), saved));
+            if (match) return match;
+        }
+        return ports.length === 1 ? ports[0] : null;
+    }
 
-            // Notify callback
-            if (this.onDataCallback) {
-                this.onDataCallback(frame);
-            }
+    /**
+     * Remember a port's USB identity for the next connect
+     */
+    static rememberPort(port) {
+        const { usbVendorId, usbProductId } = port.getInfo();
+        if (usbVendorId !== undefined) {
+            localStorage.setItem(REMEMBERED_PORT_KEY, JSON.stringify({ usbVendorId, usbProductId }));
         }
     }
 
     /**
-     * Set data callback
+     * Load the serial settings used for the last successful connect
      */
-    onData(callback) {
-        this.onDataCallback = callback;
+    static loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            return { ...DEFAULT_SERIAL_SETTINGS, ...saved, choosePort: false };
+        } catch {
+            return { ...DEFAULT_SERIAL_SETTINGS };
+        }
     }
 
     /**
-     * Set status callback
+     * Persist serial settings (port choice is per connect and not stored)
      */
-    onStatus(callback) {
-        this.onStatusCallback = callback;
+    static saveSettings(settings) {
+        const { baudRate, autoBaud, flowControl, bufferSize } = settings;
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify({ baudRate, autoBaud, flowControl, bufferSize }));
     }
 
     /**
-     * Update connection status
+     * Forget the remembered port so the next connect asks again
      */
-    updateStatus(status, message = '') {
-        if (this.onStatusCallback) {
-            this.onStatusCallback(status, message);
-        }
+    static forgetPort() {
+        localStorage.removeItem(REMEMBERED_PORT_KEY);
     }
 
     /**
@@ -236,4 +417,9 @@ export class WebSerialConnection {
     }
 }
 
+function samePort(a, b) {
+    return !!a && !!b && a.usbVendorId !== undefined &&
+        a.usbVendorId === b.usbVendorId && a.usbProductId === b.usbProductId;
+}
+
 export default WebSerialConnection;
@@ -0,0 +1,112 @@
+/**
+ * WebSocket bridge transport
+ * Talks to a remote serial port through a WebSocket server that relays
+ * binary messages to and from the device unchanged. Uses the global WebSocket
+ * (browsers, Node 22+), an injected constructor, or the optional `ws` package.
+ */
+
+import Transport from './transport.js';
+
+export class WebSocketTransport extends Transport {
+    /**
+     * @param {string} url - Bridge URL, e.g. ws://host:8080/
+     * @param {Object} options - { WebSocket: constructor to use instead of the global one }
+     */
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.WebSocket = options.WebSocket || null;
+        this.socket = null;
+    }
+
+    /**
+     * Check if a WebSocket implementation is available
+     * @returns {Promise<boolean>}
+     */
+    static async isSupported() {
+        return (await loadWebSocket()) !== null;
+    }
+
+    /**
+     * Connect to the bridge
+     */
+    async connect(url = this.url) {
+        if (!url) {
+            throw new Error('No bridge URL given');
+        }
+        this.url = url;
+        this.WebSocket = this.WebSocket || await loadWebSocket();
+        if (!this.WebSocket) {
+            throw new Error('WebSocket is not available (install the ws package on Node before 22)');
+        }
+
+        try {
+            this.socket = await new Promise((resolve, reject) => {
+                const socket = new this.WebSocket(url);
+                socket.binaryType = 'arraybuffer';
+                socket.onopen = () => resolve(socket);
+                socket.onerror = () => reject(new Error(`Cannot reach bridge ${url}`));
+            });
+        } catch (error) {
+            this.updateStatus('error', error.message);
+            throw error;
+        }
+
+        this.socket.onmessage = (event) => {
+            if (event.data instanceof ArrayBuffer) {
+                this.handleIncomingData(new Uint8Array(event.data));
+            } else if (typeof event.data === 'string') {
+                this.handleIncomingData(new TextEncoder().encode(event.data));
+            }
+        };
+        this.socket.onclose = () => {
+            this.socket = null;
+            if (this.isConnected) this.setDisconnected();
+        };
+        this.socket.onerror = (event) => {
+            this.updateStatus('error', event?.message || `WebSocket error on ${this.url}`);
+        };
+
+        this.setConnected();
+        return { type: 'websocket', url };
+    }
+
+    /**
+     * Disconnect from the bridge
+     */
+    async disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        this.setDisconnected();
+        if (socket) socket.close();
+    }
+
+    /**
+     * Send raw bytes to device
+     */
+    async sendBytes(bytes) {
+        if (!this.socket || this.socket.readyState !== this.WebSocket.OPEN) {
+            throw new Error('Not connected');
+        }
+        this.socket.send(bytes);
+    }
+
+    describe() {
+        return this.url;
+    }
+}
+
+/**
+ * WebSocket constructor: the global one, else the optional `ws` package
+ */
+async function loadWebSocket() {
+    if (typeof WebSocket !== 'undefined') return WebSocket;
+    try {
+        const mod = await import('ws');
+        return mod.WebSocket || mod.default || null;
+    } catch {
+        return null;
+    }
+}
+
+export default WebSocketTransport;
@@ -2,12 +2,15 @@
  * YANG Browser for navigating and editing YANG data models
  */
 
+import { diffTrees } from './yang-diff.js';
+
 export class YANGBrowser {
     constructor(controller) {
         this.controller = controller;
         this.yangModels = [];
         this.currentPath = '';
         this.treeData = {};
+        this.datastore = null;   // NMDA datastore read and written, null for the device default
     }
 
     /**
@@ -16,7 +19,9 @@ export class YANGBrowser {
     async loadModules() {
         try {
             // Get YANG library
-            const library = await this.controller.coap.get('/ietf-yang-library:yang-library');
+            const library = await this.controller.readData('/ietf-yang-library:yang-library', {
+                onProgress: (progress) => this.showProgress(progress)
+            });
             
             if (library && library['module-set']) {
                 this.yangModels = library['module-set'][0]['module'] || [];
@@ -289,11 +294,32 @@ export class YANGBrowser {
             <p><strong>Path:</strong> ${path}</p>
             <p><strong>Type:</strong> Container/Leaf</p>
             <p><strong>Access:</strong> Read/Write</p>
+            <div class="form-group">
+                <label>Instance Path (add list keys, e.g. interface[name='eth0']):</label>
+                <input type="text" class="form-control" id="yang-instance-path">
+            </div>
             <div class="form-group" style="margin-top: 20px;">
                 <label>Edit Value:</label>
                 <textarea class="form-control" id="yang-edit-value" rows="5"></textarea>
             </div>
         `;
+        document.getElementById('yang-instance-path').value = this.toInstancePath(path);
+    }
+
+    /**
+     * Instance path of a tree path: "ietf-interfaces/interfaces/interface" -> "/ietf-interfaces:interfaces/interface"
+     */
+    toInstancePath(path) {
+        const [module, top, ...rest] = path.split('/');
+        return top ? [`/${module}:${top}`, ...rest].join('/') : `/${module}`;
+    }
+
+    /**
+     * Instance path to read or write: the edited path field, else the selected node
+     */
+    getInstancePath() {
+        const input = document.getElementById('yang-instance-path');
+        return input?.value.trim() || this.toInstancePath(this.currentPath);
     }
 
     /**
@@ -303,7 +329,10 @@ export class YANGBrowser {
         if (!this.currentPath || !this.controller) return;
         
         try {
-            const value = await this.controller.coap.get(this.currentPath);
+            const value = await this.controller.readData(this.getInstancePath(), {
+                datastore: this.datastore,
+                onProgress: (progress) => this.showProgress(progress)
+            });
             
             const valueElement = document.getElementById('yang-value');
             if (valueElement) {
@@ -322,6 +351,46 @@ export class YANGBrowser {
         }
     }
 
+    /**
+     * Show the current node as configured (running) and as in effect (operational)
+     * Leaves whose values differ, or that exist in only one datastore, are listed first.
+     */
+    async compareValues(datastores = ['running', 'operational']) {
+        if (!this.currentPath || !this.controller) return;
+        
+        const path = this.getInstancePath();
+        const values = await this.controller.compareDatastores(path, datastores);
+        const [a, b] = datastores;
+        const differences = diffTrees(values[a] ?? undefined, values[b] ?? undefined, { path })
+            .map(change => ({ leaf: change.path.slice(path.length).replace(/^\//, '') || '.', left: change.left, right: change.right }));
+        
+        const valueElement = document.getElementById('yang-value');
+        if (valueElement) {
+            const pre = document.createElement('pre');
+            pre.textContent = [
+                differences.length
+                    ? differences.map(({ leaf, left, right }) =>
+                        `${leaf}: ${a} ${JSON.stringify(left) ?? '(none)'}, ${b} ${JSON.stringify(right) ?? '(none)'}`).join('\n')
+                    : `No differences between ${a} and ${b}`,
+                ...datastores.map(ds => `\n--- ${ds} ---\n${JSON.stringify(values[ds], null, 2)}`)
+            ].join('\n');
+            valueElement.replaceChildren(pre);
+        }
+        return values;
+    }
+
+    /**
+     * Show block-wise transfer progress in the value pane
+     */
+    showProgress({ direction, transferred, total }) {
+        const valueElement = document.getElementById('yang-value');
+        if (!valueElement) return;
+        
+        const kb = (bytes) => (bytes / 1024).toFixed(1) + ' KB';
+        const verb = direction === 'upload' ? 'Writing' : 'Reading';
+        valueElement.innerHTML = `<pre>${verb}… ${kb(transferred)}${total ? ' / ' + kb(total) : ''}</pre>`;
+    }
+
     /**
      * Set value for current node
      */
@@ -333,7 +402,10 @@ export class YANGBrowser {
         
         try {
             const value = JSON.parse(editElement.value);
-            await this.controller.coap.put(this.currentPath, value);
+            await this.controller.writeData(this.getInstancePath(), value, {
+                datastore: this.datastore,
+                onProgress: (progress) => this.showProgress(progress)
+            });
             
             window.showSuccess('Value updated successfully');
             await this.getValue(); // Refresh display
@@ -0,0 +1,143 @@
+/**
+ * Diff of YANG data trees (RFC 7951 JSON)
+ * List entries are matched by their key leaf, so reordering a list or adding
+ * an entry in the middle does not show up as changes to every later entry.
+ */
+
+// Key leaf of the lists in the supported models (also used by the simulator)
+export const LIST_KEYS = {
+    'interface': 'name',
+    'bridge': 'name',
+    'component': 'name',
+    'vlan': 'vid',
+    'instance-list': 'instance-number',
+    'port-ds-list': 'port-number',
+    'admin-control-list': 'index',
+    'oper-control-list': 'index',
+    'traffic-class': 'index',
+    'module-set': 'name',
+    'module': 'name'
+};
+
+/**
+ * Compare two data trees
+ * @param {*} left - e.g. the live device configuration
+ * @param {*} right - e.g. a backup file or snapshot
+ * @param {Object} options - { path: instance path of the compared node (default: the datastore root),
+ *   listKeys: list name -> key leaf, for lists not in LIST_KEYS }
+ * @returns {Array<{type: 'added'|'removed'|'changed', path: string, left?, right?}>} - added
+ *   and removed report the topmost node missing on the other side, with its whole value
+ */
+export function diffTrees(left, right, { path = '', listKeys = {} } = {}) {
+    const changes = [];
+    const keys = { ...LIST_KEYS, ...listKeys };
+    walk(left, right, path, listName(path), keys, changes);
+    return changes;
+}
+
+function walk(left, right, path, name, keys, changes) {
+    if (left === undefined && right === undefined) return;
+    if (left === undefined) {
+        changes.push({ type: 'added', path: path || '/', right });
+        return;
+    }
+    if (right === undefined) {
+        changes.push({ type: 'removed', path: path || '/', left });
+        return;
+    }
+
+    if (isObject(left) && isObject(right)) {
+        const members = new Set([...Object.keys(left), ...Object.keys(right)]);
+        for (const member of members) {
+            walk(left[member], right[member], `${path}/${member}`, localName(member), keys, changes);
+        }
+        return;
+    }
+
+    if (isList(left) && isList(right)) {
+        const key = keys[name] ?? commonKey([...left, ...right]);
+        if (key) {
+            const rightEntries = new Map(right.map(entry => [String(entry[key]), entry]));
+            for (const entry of left) {
+                const id = String(entry[key]);
+                walk(entry, rightEntries.get(id), entryPath(path, key, entry[key]), name, keys, changes);
+                rightEntries.delete(id);
+            }
+            for (const entry of rightEntries.values()) {
+                walk(undefined, entry, entryPath(path, key, entry[key]), name, keys, changes);
+            }
+        } else {
+            // No key known: compare by position
+            for (let i = 0; i < Math.max(left.length, right.length); i++) {
+                walk(left[i], right[i], `${path}[${i + 1}]`, name, keys, changes);
+            }
+        }
+        return;
+    }
+
+    if (!sameValue(left, right)) {
+        changes.push({ type: 'changed', path: path || '/', left, right });
+    }
+}
+
+// A container or list entry; Maps, Sets, bytes and the like are leaf values
+function isObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+// A YANG list: array of entries (leaf-lists hold scalars and compare as one value)
+function isList(value) {
+    return Array.isArray(value) && value.every(isObject);
+}
+
+// Key leaf present in every entry of a list not in the table
+function commonKey(entries) {
+    return ['name', 'index', 'id'].find(key => entries.length && entries.every(entry => entry[key] !== undefined)) ?? null;
+}
+
+function entryPath(path, key, value) {
+    return typeof value === 'number' ? `${path}[${key}=${value}]` : `${path}[${key}='${value}']`;
+}
+
+function localName(member) {
+    return member.slice(member.indexOf(':') + 1);
+}
+
+// List name of the last node of an instance path
+function listName(path) {
+    const last = path.slice(path.lastIndexOf('/') + 1).replace(/\[.*$/, '');
+    return last ? localName(last) : null;
+}
+
+/**
+ * Equality of two values, ignoring the order of object members
+ */
+export function sameValue(a, b) {
+    return canonicalJson(a) === canonicalJson(b);
+}
+
+// JSON with sorted members; Maps (e.g. SID-keyed) and Sets, which JSON.stringify
+// turns into {}, by their sorted entries
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, v) => {
+        if (typeof v === 'bigint') return v.toString();
+        if (v instanceof Map) {
+            const entries = [...v].map(([k, item]) => [canonicalJson(k), item]);
+            return { '#map': entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)) };
+        }
+        if (v instanceof Set) return { '#set': [...v].map(canonicalJson).sort() };
+        return isObject(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v;
+    });
+}
+
+/**
+ * Count changes by type
+ * @returns {{added: number, removed: number, changed: number}}
+ */
+export function summarizeDiff(changes) {
+    const summary = { added: 0, removed: 0, changed: 0 };
+    for (const change of changes) summary[change.type]++;
+    return summary;
+}
@@ -0,0 +1,58 @@
+/**
+ * CBOR codec and diagnostic notation (RFC 8949)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encode, decode, decodeSequence, diagnose, parseDiagnostic, toDiagnostic, Float, Tagged } from '../js/cbor.js';
+
+const hex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+const bytes = (text) => Uint8Array.from(text.match(/../g), b => parseInt(b, 16));
+
+test('encodes the RFC 8949 appendix A examples', () => {
+    const examples = [
+        [0, '00'], [23, '17'], [24, '1818'], [1000000, '1a000f4240'],
+        [18446744073709551615n, '1bffffffffffffffff'], [18446744073709551616n, 'c249010000000000000000'],
+        [-1, '20'], [-1000, '3903e7'], [1.1, 'fb3ff199999999999a'], [1.5, 'f93e00'],
+        [100000.5, 'fa47c35040'], [-4.1, 'fbc010666666666666'], [Infinity, 'f97c00'],
+        ['IETF', '6449455446'], [[1, [2, 3]], '8201820203'], [{ a: 1, b: [2, 3] }, 'a26161016162820203']
+    ];
+    for (const [value, encoded] of examples) {
+        assert.equal(hex(encode(value)), encoded, String(value));
+        assert.deepEqual(decode(bytes(encoded)), value);
+    }
+});
+
+test('diagnostic notation round-trips integral floats', () => {
+    for (const encoded of ['f93c00', 'f90000', 'f98000', 'a2f93c000101f4']) {
+        const text = diagnose(bytes(encoded));
+        assert.equal(hex(encode(parseDiagnostic(text))), encoded, text);
+    }
+    assert.ok(parseDiagnostic('1.0') instanceof Float);
+    assert.equal(parseDiagnostic('1'), 1);
+    assert.equal(toDiagnostic(parseDiagnostic('[1.0, 1]')), '[1.0, 1]');
+});
+
+test('maps with duplicate keys are rejected', () => {
+    assert.throws(() => decode(bytes('a2616101616102')), /Duplicate CBOR map key "a"/);
+    assert.throws(() => decode(bytes('a2010101f93c0002')), /Duplicate CBOR map key 1/);
+    assert.throws(() => decodeSequence(bytes('00a1820102f6a2820102f6820102f6')), /Duplicate/);
+    assert.throws(() => parseDiagnostic('{"a": 1, "a": 2}'), /duplicate map key "a"/);
+    assert.throws(() => encode(new Map([[[1], 1], [[1], 2]]), { canonical: true }), /Duplicate CBOR map key/);
+    assert.deepEqual(decode(bytes('a2820102f6820103f6')), new Map([[[1, 2], null], [[1, 3], null]]));
+});
+
+test('epoch dates decode to Date and encode back to tag 1', () => {
+    const date = new Date('2013-03-21T20:04:00Z');
+    assert.equal(hex(encode(date)), 'c11a514b67b0');
+    assert.deepEqual(decode(bytes('c11a514b67b0')), date);
+    assert.deepEqual(decode(bytes('c1fb41d452d9ec200000')), new Date(1363896240500));
+    assert.deepEqual(parseDiagnostic('1(1363896240)'), date);
+    assert.equal(toDiagnostic(date), '1(1363896240)');
+    // Tag 1 around anything but a number has no Date
+    assert.deepEqual(decode(bytes('c16161')), new Tagged(1, 'a'));
+});
+
+test('nesting deeper than the limit is rejected', () => {
+    assert.throws(() => decode(new Uint8Array(1000).fill(0x81)), /nest/i);
+});
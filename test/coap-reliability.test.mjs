@@ -0,0 +1,87 @@
+/**
+ * CoAP message layer against the demo device: retransmission, separate
+ * responses and resets (RFC 7252 §4, §5.2)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectSimulator } from './helpers.mjs';
+
+const PATH = "/ietf-interfaces:interfaces/interface[name='eth0']";
+
+const TYPE_ACK = 2;
+const TYPE_RST = 3;
+
+// Rewrite the type and Message ID of an encoded CoAP message in place
+function retype(message, type, messageId = null) {
+    message[0] = (message[0] & 0xCF) | (type << 4);
+    if (messageId !== null) {
+        message[2] = messageId >> 8;
+        message[3] = messageId & 0xFF;
+    }
+    return message;
+}
+
+test('a separate response without its empty ACK completes the request', async () => {
+    const { controller, simulator, close } = await connectSimulator({ controller: { coap: { tokenLength: 4 } } });
+    const coap = controller.coap;
+    coap.ACK_TIMEOUT = 100;
+    try {
+        // The device answers later in a CON of its own; the empty ACK before it is lost
+        let messageId = 0x8000;
+        const send = simulator.sendCoap.bind(simulator);
+        simulator.sendCoap = (message) => {
+            const type = (message[0] >> 4) & 0x03;
+            const copy = Uint8Array.from(message);
+            send(type === TYPE_ACK && copy[1] !== 0 ? retype(copy, 0, messageId++) : copy);
+        };
+
+        const value = await coap.get(PATH);
+        assert.equal(value?.name ?? value?.interface?.[0]?.name, 'eth0');
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(coap.statistics.retransmissions, 0);
+        assert.equal(coap.statistics.timeouts, 0);
+        assert.equal(coap.pendingRequests.size, 0);
+    } finally {
+        await close();
+    }
+});
+
+test('a lost request is retransmitted with the same Message ID', async () => {
+    const { controller, simulator, close } = await connectSimulator();
+    const coap = controller.coap;
+    coap.ACK_TIMEOUT = 50;
+    try {
+        const handle = simulator.handleCoap.bind(simulator);
+        const received = [];
+        simulator.handleCoap = (data) => {
+            received.push((data[2] << 8) | data[3]);
+            if (received.length > 1) handle(data);
+        };
+
+        await coap.get(PATH);
+        assert.equal(coap.statistics.retransmissions, 1);
+        assert.equal(received.length, 2);
+        assert.equal(received[0], received[1]);
+    } finally {
+        await close();
+    }
+});
+
+test('a reset rejects the request', async () => {
+    const { controller, simulator, close } = await connectSimulator();
+    try {
+        simulator.sendCoap = (message) => {
+            const reset = retype(Uint8Array.from(message.subarray(0, 4)), TYPE_RST);
+            reset[0] &= 0xF0;    // no token
+            reset[1] = 0;        // empty
+            simulator.reply(simulator.protocol.COMMANDS.COAP, reset);
+        };
+
+        await assert.rejects(controller.coap.get(PATH), { name: 'ResetError' });
+        assert.equal(controller.coap.statistics.resets, 1);
+    } finally {
+        await close();
+    }
+});
@@ -0,0 +1,62 @@
+/**
+ * Configuration backups: subtrees read and JSON/CBOR round trips
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackup, encodeBackup, decodeBackup } from '../js/config-backup.js';
+import SIDRegistry from '../js/coreconf.js';
+import { connectSimulator } from './helpers.mjs';
+
+const COUNTERS = {
+    'module-name': 'example-counters',
+    item: [
+        { namespace: 'module', identifier: 'example-counters', sid: 70000 },
+        { namespace: 'data', identifier: '/example-counters:settings', sid: 70001 },
+        { namespace: 'data', identifier: '/example-counters:settings/limit', sid: 70002, type: 'uint64' },
+        { namespace: 'data', identifier: '/example-counters:settings/key', sid: 70003, type: 'binary' },
+        { namespace: 'data', identifier: '/example-counters:settings/entry', sid: 70004 },
+        { namespace: 'data', identifier: '/example-counters:settings/entry/offset', sid: 70005, type: 'yang:gauge64' },
+        { namespace: 'data', identifier: '/example-counters:settings/entry/label', sid: 70006, type: 'string' }
+    ]
+};
+
+const backupOf = (config) => ({ format: 'mup1-config-backup', version: 1, created: '2025-06-01T00:00:00.000Z', config });
+
+test('a backup holds the configuration subtrees of the loaded modules', async () => {
+    const { controller, close } = await connectSimulator({ sids: true });
+    try {
+        const backup = await createBackup(controller);
+        assert.deepEqual(Object.keys(backup.config).sort(), [
+            'ieee1588-ptp:ptp', 'ieee802-dot1q-bridge:bridges', 'ieee802-dot1q-preemption:interfaces',
+            'ieee802-dot1q-sched:interfaces', 'ietf-interfaces:interfaces'
+        ]);
+        assert.equal(backup.config['ietf-interfaces:interfaces'].interface[0].statistics, undefined);
+    } finally {
+        await close();
+    }
+});
+
+test('JSON backups read 64-bit and binary leaves back by their type', () => {
+    const sids = new SIDRegistry();
+    sids.load(COUNTERS);
+    const config = {
+        'example-counters:settings': {
+            limit: 18446744073709551615n,
+            key: Uint8Array.of(1, 2, 0xFF),
+            entry: [{ offset: 42n, label: '7' }, { offset: 9007199254740993n, label: 'x' }]
+        }
+    };
+
+    const text = encodeBackup(backupOf(config), 'json');
+    assert.match(text, /"limit": "18446744073709551615"/);
+    assert.match(text, /"key": "AQL\/"/);
+
+    const expected = structuredClone(config);
+    expected['example-counters:settings'].entry[0].offset = 42;
+    assert.deepEqual(decodeBackup(text, sids).config, expected);
+    assert.deepEqual(decodeBackup(encodeBackup(backupOf(config), 'cbor')).config, expected);
+
+    // Without leaf types the strings stay
+    assert.equal(decodeBackup(text).config['example-counters:settings'].limit, '18446744073709551615');
+});
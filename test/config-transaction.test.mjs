@@ -0,0 +1,62 @@
+/**
+ * Staged configuration transactions against the demo device
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransactionError } from '../js/config-transaction.js';
+import { connectSimulator } from './helpers.mjs';
+
+const INTERFACE = "/ietf-interfaces:interfaces/interface[name='eth0']";
+const VLANS = "/ieee802-dot1q-bridge:bridges/bridge[name='br0']/vlans";
+
+for (const sids of [false, true]) {
+    const mode = sids ? 'CORECONF' : 'plain paths';
+
+    test(`the diff compares with the running configuration (${mode})`, async () => {
+        const { controller, close } = await connectSimulator({ sids });
+        try {
+            const running = await controller.readData(INTERFACE, { datastore: 'running' });
+            assert.equal(running['oper-status'], undefined);
+
+            const tx = controller.transaction()
+                .set(INTERFACE, running)
+                .set(`${INTERFACE}/enabled`, false);
+            const [entry, enabled] = await tx.diff();
+            assert.equal(entry.op, 'unchanged');
+            assert.equal(entry.before.statistics, undefined);
+            assert.deepEqual([enabled.op, enabled.before, enabled.after], ['update', true, false]);
+        } finally {
+            await close();
+        }
+    });
+
+    test(`a failed step restores configuration without state nodes (${mode})`, async () => {
+        const { controller, close } = await connectSimulator({ sids });
+        try {
+            const running = await controller.readData(INTERFACE, { datastore: 'running' });
+            const writes = [];
+            const write = controller.writeData.bind(controller);
+            controller.writeData = async (path, value, options) => {
+                writes.push({ path, value });
+                if (path === VLANS && writes.filter(w => w.path === VLANS).length === 1) throw new Error('rejected');
+                return await write(path, value, options);
+            };
+
+            const tx = controller.transaction()
+                .set(INTERFACE, { ...running, enabled: false, description: 'uplink' })
+                .set(VLANS, { vlan: [] });
+            await assert.rejects(tx.apply(), TransactionError);
+            assert.equal(tx.state, 'rolled-back');
+
+            const restore = writes.filter(({ path }) => path === INTERFACE).at(-1);
+            assert.deepEqual(restore.value, running);
+            const after = await controller.readData(INTERFACE);
+            assert.equal(after.enabled, true);
+            assert.equal(after.description, undefined);
+            assert.ok(after.statistics, 'state nodes are kept by the device');
+        } finally {
+            await close();
+        }
+    });
+}
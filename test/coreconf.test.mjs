@@ -0,0 +1,57 @@
+/**
+ * SID registry: delta-SID payloads and identityref values (RFC 9254)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SIDRegistry from '../js/coreconf.js';
+import { connectSimulator } from './helpers.mjs';
+
+const FILES = [{
+    'module-name': 'ietf-interfaces',
+    item: [
+        { namespace: 'module', identifier: 'ietf-interfaces', sid: 1500 },
+        { namespace: 'data', identifier: '/ietf-interfaces:interfaces', sid: 1505 },
+        { namespace: 'data', identifier: '/ietf-interfaces:interfaces/interface', sid: 1533 },
+        { namespace: 'data', identifier: '/ietf-interfaces:interfaces/interface/name', sid: 1537 },
+        { namespace: 'data', identifier: '/ietf-interfaces:interfaces/interface/type', sid: 1538, type: 'identityref' }
+    ]
+}, {
+    'module-name': 'iana-if-type',
+    item: [{ namespace: 'identity', identifier: 'iana-if-type:ethernetCsmacd', sid: 1880 }]
+}];
+
+function registry() {
+    const sids = new SIDRegistry();
+    FILES.forEach(file => sids.load(file));
+    return sids;
+}
+
+test('identityref values travel as identity SIDs', () => {
+    const sids = registry();
+    const value = { name: 'eth0', type: 'iana-if-type:ethernetCsmacd' };
+    const encoded = sids.encodeValue(1533, value);
+    assert.deepEqual([...encoded], [[4, 'eth0'], [5, 1880]]);
+    assert.deepEqual(sids.decodeValue(1533, encoded), value);
+});
+
+test('unknown identities and untyped leaves keep their value', () => {
+    const sids = registry();
+    assert.equal(sids.encodeValue(1538, 'iana-if-type:other'), 'iana-if-type:other');
+    assert.equal(sids.encodeValue(1537, 'iana-if-type:ethernetCsmacd'), 'iana-if-type:ethernetCsmacd');
+    assert.equal(sids.decodeValue(1538, 1537), 1537);
+    assert.equal(sids.decodeValue(1537, 1880), 1880);
+});
+
+test('the demo device encodes interface types as identities', async () => {
+    const { controller, simulator, close } = await connectSimulator({ sids: true });
+    try {
+        const typeSid = simulator.sids.getSid('/ietf-interfaces:interfaces/interface/type');
+        assert.equal(typeof simulator.sids.encodeValue(typeSid, 'iana-if-type:ethernetCsmacd'), 'number');
+        const interfaces = await controller.getInterfaces();
+        assert.ok(interfaces.length > 0);
+        assert.ok(interfaces.every(entry => entry.type === 'iana-if-type:ethernetCsmacd'));
+    } finally {
+        await close();
+    }
+});
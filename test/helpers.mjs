@@ -0,0 +1,35 @@
+/**
+ * Shared test setup: a controller connected to the demo device
+ */
+
+import LoopbackTransport from '../js/loopback-transport.js';
+import VelocityDriveSimulator from '../js/device-simulator.js';
+import LAN966xController from '../js/lan966x-controller.js';
+import SIDRegistry from '../js/coreconf.js';
+
+/**
+ * @param {Object} options - Simulator options; sids: load the simulator's SID files into
+ *   the controller, controller: LAN966xController options
+ * @returns {Promise<{controller, simulator, close: Function}>}
+ */
+export async function connectSimulator({ sids = false, controller: controllerOptions = {}, ...options } = {}) {
+    const [host, device] = LoopbackTransport.createPair();
+    const simulator = new VelocityDriveSimulator(device, { trace: false, latency: 1, notifyInterval: 50, ...options });
+    await simulator.start();
+    await host.connect();
+
+    const registry = new SIDRegistry();
+    if (sids) simulator.getSidFiles().forEach(file => registry.load(file));
+    const controller = new LAN966xController(host, { sids: registry, ...controllerOptions });
+    host.onData(frame => controller.handleFrame(frame));
+
+    return {
+        controller,
+        simulator,
+        async close() {
+            controller.coap.cancelAll();
+            await host.disconnect();
+            await simulator.stop();
+        }
+    };
+}
@@ -0,0 +1,42 @@
+/**
+ * Ports discovered from ietf-interfaces, also inside staged transactions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectSimulator } from './helpers.mjs';
+
+const SCHEDULE = { entries: [{ gateStates: 0x03, timeInterval: 500000 }], cycleTime: 500000 };
+
+test('ports are the device interfaces, in device order', async () => {
+    const { controller, close } = await connectSimulator({ portNames: ['swp1', 'swp2', 'swp3'] });
+    try {
+        const ports = await controller.getInterfaces();
+        assert.deepEqual(ports.map(port => [port.index, port.name]), [[0, 'swp1'], [1, 'swp2'], [2, 'swp3']]);
+        assert.equal(await controller.portName(2), 'swp3');
+        assert.equal((await controller.findPort('swp2')).index, 1);
+        await assert.rejects(controller.portName(3), /Unknown port 3 \(device has swp1, swp2, swp3\)/);
+    } finally {
+        await close();
+    }
+});
+
+for (const sids of [false, true]) {
+    test(`a staged TAS schedule finds its port on the device (${sids ? 'CORECONF' : 'plain paths'})`, async () => {
+        const { controller, simulator, close } = await connectSimulator({ sids, portNames: ['swp1', 'swp2'] });
+        try {
+            // Nothing discovered yet: the lookup happens while staging
+            const tx = controller.transaction();
+            await tx.stage(staged => staged.configureTAS(1, SCHEDULE));
+            assert.ok([...tx.edits.keys()].every(path => path.includes("interface[name='swp2']")));
+            assert.equal(controller.getPortCount(), 2);
+
+            await tx.apply();
+            const schedule = simulator.datastore['ieee802-dot1q-sched:interfaces'].interface[1].schedule;
+            assert.equal(schedule['admin-cycle-time'], 500000);
+            assert.equal(schedule['admin-control-list'][0]['gate-states-value'], 0x03);
+        } finally {
+            await close();
+        }
+    });
+}
@@ -0,0 +1,34 @@
+/**
+ * PTP configuration against the demo device
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectSimulator } from './helpers.mjs';
+
+const INSTANCE = '/ieee1588-ptp:ptp/instance-list[instance-number=0]';
+
+test('configurePTP changes only the given settings', async () => {
+    const { controller, close } = await connectSimulator({ sids: true });
+    try {
+        await controller.configurePTP({ priority1: 64, domain: 24, ports: [{ syncInterval: -4 }] });
+        const entry = await controller.readData(INSTANCE);
+        assert.equal(entry['default-ds'].priority1, 64);
+        assert.equal(entry['default-ds'].priority2, 128);
+        assert.equal(entry['default-ds']['domain-number'], 24);
+        assert.equal(entry['port-ds-list'][0]['log-sync-interval'], -4);
+        assert.equal(entry['port-ds-list'][0]['port-state'], 'listening');
+    } finally {
+        await close();
+    }
+});
+
+test('configurePTP without settings is rejected', async () => {
+    const { controller, close } = await connectSimulator({ sids: true });
+    try {
+        await assert.rejects(controller.configurePTP({}), /No values given/);
+        await assert.rejects(controller.configurePTP({ ports: [{ state: 'master' }] }), /No values given/);
+    } finally {
+        await close();
+    }
+});
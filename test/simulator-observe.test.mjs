@@ -0,0 +1,44 @@
+/**
+ * Observe against the demo device: notifications must keep arriving after
+ * the registration (run with `node --test test/`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectSimulator } from './helpers.mjs';
+
+const PATH = "/ietf-interfaces:interfaces/interface[name='eth0']";
+
+test('notifications follow changes without ending the observation', async () => {
+    const { controller, close } = await connectSimulator();
+    try {
+        const values = [];
+        let ended = null;
+        const handle = await controller.coap.observe(PATH, (value) => values.push(value), {
+            onError: (error) => { ended = error; }
+        });
+        assert.equal(handle.supported, true);
+
+        await controller.coap.put(`${PATH}/enabled`, false);
+        const deadline = Date.now() + 2000;
+        while (!values.some(value => value?.enabled === false) && !ended && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        await handle.cancel();
+
+        assert.equal(ended, null, `observation ended: ${ended?.message}`);
+        assert.ok(values.some(value => value?.enabled === false), 'no notification with the new value');
+    } finally {
+        await close();
+    }
+});
+
+test('registration reports unsupported when the device has no Observe', async () => {
+    const { controller, close } = await connectSimulator({ observe: false });
+    try {
+        const handle = await controller.coap.observe(PATH, () => {});
+        assert.equal(handle.supported, false);
+    } finally {
+        await close();
+    }
+});
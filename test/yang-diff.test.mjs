@@ -0,0 +1,31 @@
+/**
+ * Keyed diff of YANG data trees
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTrees, sameValue } from '../js/yang-diff.js';
+
+test('list entries are matched by key', () => {
+    const left = { 'ietf-interfaces:interfaces': { interface: [{ name: 'eth0', enabled: true }, { name: 'eth1', enabled: true }] } };
+    const right = { 'ietf-interfaces:interfaces': { interface: [{ name: 'eth1', enabled: false }, { name: 'eth0', enabled: true }] } };
+    assert.deepEqual(diffTrees(left, right), [{
+        type: 'changed',
+        path: "/ietf-interfaces:interfaces/interface[name='eth1']/enabled",
+        left: true,
+        right: false
+    }]);
+});
+
+test('maps and sets compare by their entries', () => {
+    assert.equal(sameValue(new Map([[1, 'a']]), new Map([[1, 'b']])), false);
+    assert.equal(sameValue(new Map([[1, 'a'], [2, 'b']]), new Map([[2, 'b'], [1, 'a']])), true);
+    assert.equal(sameValue(new Map([[[1, 'eth0'], null]]), new Map([[[1, 'eth1'], null]])), false);
+    assert.equal(sameValue(new Map(), {}), false);
+    assert.equal(sameValue(new Set([1, 2]), new Set([2, 1])), true);
+    assert.equal(sameValue(new Set([1, 2]), new Set([1, 3])), false);
+    assert.equal(sameValue({ a: 1n, b: [1] }, { b: [1], a: 1n }), true);
+
+    const changes = diffTrees({ leaf: new Map([[5, 1]]) }, { leaf: new Map([[5, 2]]) });
+    assert.deepEqual(changes.map(change => change.path), ['/leaf']);
+});